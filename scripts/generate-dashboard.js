@@ -1,467 +1,357 @@
 #!/usr/bin/env node
 /**
  * generate-dashboard.js
- * Regenerates agent-dashboard.html with live data from OpenClaw CLI.
- * Run: node generate-dashboard.js
+ * Rebuilds agent-dashboard.html from scripts/templates/ with live data from
+ * OpenClaw CLI (~/.openclaw/workspace/agent-dashboard.html unless --out).
+ * Run: node generate-dashboard.js [--out path/to/agent-dashboard.html]
  * Or:  ./refresh-dashboard.sh
+ *
+ * JSON mode writes dashboard-data.json (the file index.html polls) instead:
+ *   node generate-dashboard.js --json [--out path/to/dashboard-data.json]
+ *   node generate-dashboard.js --validate path/to/dashboard-data.json
+ * Add --transcripts to also write sessions/<agent>/<sessionId>.json next to
+ * it for the session drill-down view (full transcripts, keep them private).
+ *
+ * Data source (see lib/data-sources.js):
+ *   --source cli|disk|fixture   default cli
+ *   --fixture <dir>             replay a recorded fixture (implies --source fixture)
+ *   --record <dir>              capture the current source into a fixture and exit
+ *
+ * Transcript summaries are cached between runs so only what was appended
+ * since the last one is read (default <openclaw>/workspace/
+ * dashboard-session-cache.json, off for fixtures; see lib/session-index.js):
+ *   --cache <file>                 cache file
+ *   --no-cache                     read every transcript in full
+ *   --timings                      print where each collection spent its time
+ *
+ * Work sessions (subagents and cron runs) are listed for the last 7 days so
+ * index.html can filter them by time range; change that with
+ *   --window-days <n>
+ *
+ * Spend estimates use built-in per-model prices; override them with
+ *   --prices path/to/prices.json   (see lib/usage.js for the format)
+ *
+ * Each run appends a snapshot to a JSONL history for the trend charts
+ * (default <openclaw>/workspace/dashboard-history.jsonl, off for fixtures):
+ *   --history <file>               history file
+ *   --no-history                   do not record or chart history
+ *   --history-days <n>             drop snapshots older than n days (90)
+ *   --history-compact-days <n>     merge snapshots older than n days hourly (7)
+ *
+ * Agents, their cards and rituals come from roster.json at the repo root:
+ *   --roster path/to/roster.json   (see lib/roster.js for the format)
+ *
+ * Alert rules and sinks (webhook, log file, shell command) are configured with
+ *   --alerts path/to/alerts.json   (see lib/alerts.js for the format)
+ *
+ * Live mode keeps running and pushes changes to index.html over SSE:
+ *   node generate-dashboard.js --serve [--port 4173]
+ * Add --control to run, pause and resume cron jobs and abort subagents from
+ * the page (see lib/control.js); actions are logged to an audit file:
+ *   --control-token <token>        fixed token instead of a random one
+ *   --audit-log <file>             default <openclaw>/workspace/dashboard-audit.jsonl
+ * `node --test scripts/test/` drives the control API against the stub CLI.
+ *
+ * Output profiles (see lib/redact.js) decide what leaves the machine:
+ *   --public                       redact tasks, hash session keys, no transcripts
+ *   --private                      everything as collected
+ *   --redact path/to/redact.json   rules and private agents/jobs for --public
+ * --json defaults to --public (dashboard-data.json is deployed); the HTML
+ * page, --serve and --export default to --private. Hashes are salted with the
+ * config's `salt`, else one kept in <openclaw>/workspace/dashboard-redact-salt.
+ *
+ * Static export builds a self-contained site (overview, agent pages with
+ * their workspace docs, session transcripts, hashed assets) that works from
+ * file:// or any static host. It holds full transcripts, keep it private:
+ *   node generate-dashboard.js --export path/to/site   (see lib/export.js)
  */
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { SCHEMA_VERSION, validateDashboardData } = require('./lib/dashboard-schema');
+const { createDataSource, recordFixture } = require('./lib/data-sources');
+const { ACTIVE_MINUTES, SESSION_WINDOW_DAYS, collectDashboard, collectSessionDetail, linkedSessions, timingReport, toDashboardData } = require('./lib/collect');
+const { writeHtmlDashboard } = require('./lib/render-html');
+const { exportSite } = require('./lib/export');
+const { createRedactor, loadRedactConfig, loadSalt, redactCollected } = require('./lib/redact');
+const { startServer } = require('./lib/server');
+const { loadPrices } = require('./lib/usage');
+const { createHistoryStore } = require('./lib/history');
+const { createSessionIndex } = require('./lib/session-index');
+const { createAlerter, loadAlertConfig } = require('./lib/alerts');
+const { fmtTime } = require('./lib/format');
+const { DEFAULT_ROSTER_FILE, criticalRituals, loadRoster } = require('./lib/roster');
 
 const DASHBOARD = path.join(process.env.HOME, '.openclaw/workspace/agent-dashboard.html');
-const TZ = 'America/Chicago';
+const DATA_JSON = path.join(__dirname, '..', 'dashboard-data.json');
 
-// ── Helpers ──────────────────────────────────────────────────────────────────
+// ── CLI options ──────────────────────────────────────────────────────────────
 
-function run(cmd) {
-  try {
-    return execSync(cmd, { encoding: 'utf8', timeout: 15000 }).trim();
-  } catch { return ''; }
-}
+const args = process.argv.slice(2);
 
-function jsonRun(cmd) {
-  const raw = run(cmd);
-  try { return JSON.parse(raw); } catch { return []; }
+function argValue(flag) {
+  const i = args.indexOf(flag);
+  return i !== -1 && args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : null;
 }
 
-function escHtml(s) {
-  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+const JSON_MODE = args.includes('--json');
+const JSON_OUT = path.resolve(argValue('--out') || DATA_JSON);
+const HTML_OUT = path.resolve(argValue('--out') || DASHBOARD);
+const WINDOW_DAYS = Number(argValue('--window-days')) || SESSION_WINDOW_DAYS;
+const WRITE_TRANSCRIPTS = args.includes('--transcripts');
+const EXPORT_DIR = argValue('--export') && path.resolve(argValue('--export'));
+
+if (args.includes('--public') && args.includes('--private')) {
+  console.error('❌ Pick one of --public and --private');
+  process.exit(1);
+}
+const PROFILE = args.includes('--public') ? 'public'
+  : args.includes('--private') ? 'private'
+  : JSON_MODE && !EXPORT_DIR && !args.includes('--serve') ? 'public' : 'private';
+if (PROFILE === 'public' && WRITE_TRANSCRIPTS) {
+  console.error('❌ --transcripts writes full transcripts; add --private to publish them');
+  process.exit(1);
+}
+const CONTROL = args.includes('--control');
+if (CONTROL && (!args.includes('--serve') || PROFILE === 'public')) {
+  console.error('❌ --control needs --serve with the private profile');
+  process.exit(1);
 }
 
-function fmtTime() {
-  return new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: TZ }) + ' CST';
+if (args.includes('--validate')) {
+  const file = path.resolve(argValue('--validate') || DATA_JSON);
+  let errors;
+  try {
+    errors = validateDashboardData(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (e) {
+    errors = [e.message];
+  }
+  if (errors.length > 0) {
+    console.error(`❌ ${file} does not match schema v${SCHEMA_VERSION}:\n  ` + errors.join('\n  '));
+    process.exit(1);
+  }
+  console.log(`✅ ${file} matches schema v${SCHEMA_VERSION}`);
+  process.exit(0);
 }
 
-// ── Agent config ─────────────────────────────────────────────────────────────
+// ── Agent roster ─────────────────────────────────────────────────────────────
 
-const AGENTS = {
-  atlas: { avatar: 'avatars/atlas-cookie.png', color: '#667eea', role: 'Research & Analysis' },
-  mason: { avatar: 'avatars/mason-oscar.png',  color: '#ed8936', role: 'Browser & Automation' },
-  reid:  { avatar: 'avatars/reid-grover.png',  color: '#48bb78', role: 'Curriculum & Content' },
-  chase: { avatar: 'avatars/chase-elmo.png',   color: '#9f7aea', role: 'Email & Admin' },
-  main:  { avatar: 'avatars/tim-kermit.png',   color: '#e0e0e0', role: 'Coordinator' },
-};
+const ROSTER_FILE = path.resolve(argValue('--roster') || DEFAULT_ROSTER_FILE);
+let roster;
+try {
+  roster = loadRoster(ROSTER_FILE);
+} catch (e) {
+  console.error(`❌ Cannot load roster: ${e.message}`);
+  process.exit(1);
+}
+const AGENT_NAMES = roster.agents.map(a => a.name);
 
-// ── Gather data ──────────────────────────────────────────────────────────────
+// ── Data source ──────────────────────────────────────────────────────────────
 
-const cronRaw = run('openclaw cron list --json 2>/dev/null');
-let cronJobs = [];
+const FIXTURE_DIR = argValue('--fixture');
+let source;
 try {
-  const parsed = JSON.parse(cronRaw);
-  cronJobs = Array.isArray(parsed) ? parsed : (parsed.jobs || []);
-} catch {}
+  source = createDataSource(argValue('--source') || (FIXTURE_DIR ? 'fixture' : 'cli'), {
+    dir: FIXTURE_DIR && path.resolve(FIXTURE_DIR),
+  });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
 
-const sessionsRaw = run('openclaw sessions --active 60 --json 2>/dev/null');
-let activeSessions = [];
-try {
-  const parsed = JSON.parse(sessionsRaw);
-  activeSessions = Array.isArray(parsed) ? parsed : (parsed.sessions || []);
-} catch {}
+const RECORD_DIR = argValue('--record') && path.resolve(argValue('--record'));
 
-const allSessionsRaw = run('openclaw sessions --json 2>/dev/null');
-let allSessions = [];
+let prices;
 try {
-  const parsed = JSON.parse(allSessionsRaw);
-  allSessions = Array.isArray(parsed) ? parsed : (parsed.sessions || []);
-} catch {}
+  prices = loadPrices(argValue('--prices'));
+} catch (e) {
+  console.error(`❌ Cannot read price table: ${e.message}`);
+  process.exit(1);
+}
 
-// ── Gather subagent sessions across all agents ──────────────────────────────
+const HISTORY_FILE = args.includes('--no-history') ? null
+  : argValue('--history') || (source.kind === 'fixture' ? null : path.join(source.root, 'workspace', 'dashboard-history.jsonl'));
 
-const OPENCLAW_DIR = path.join(process.env.HOME, '.openclaw');
+const CACHE_FILE = args.includes('--no-cache') ? null
+  : argValue('--cache') || (source.kind === 'fixture' ? null : path.join(source.root, 'workspace', 'dashboard-session-cache.json'));
 
-function getAgentSessions(agentName) {
-  const sessFile = path.join(OPENCLAW_DIR, 'agents', agentName, 'sessions', 'sessions.json');
-  try {
-    return JSON.parse(fs.readFileSync(sessFile, 'utf8'));
-  } catch { return {}; }
+function openSessionIndex(minIntervalMs) {
+  return createSessionIndex(source, { file: CACHE_FILE && path.resolve(CACHE_FILE), minIntervalMs });
 }
 
-function extractTaskDescription(agentName, sessionId) {
-  const transcriptPath = path.join(OPENCLAW_DIR, 'agents', agentName, 'sessions', `${sessionId}.jsonl`);
-  try {
-    const lines = fs.readFileSync(transcriptPath, 'utf8').split('\n').filter(Boolean);
-    for (const line of lines) {
-      const d = JSON.parse(line);
-      if (d.type === 'message' && d.message?.role === 'user') {
-        const content = d.message.content;
-        let text = '';
-        if (typeof content === 'string') text = content;
-        else if (Array.isArray(content)) {
-          const t = content.find(c => c.type === 'text');
-          if (t) text = t.text;
-        }
-        // Strip timestamp prefix like "[Tue 2026-02-10 08:39 CST] "
-        text = text.replace(/^\[.*?\]\s*/, '');
-        // Take first line or first 120 chars
-        const firstLine = text.split('\n')[0].trim();
-        return firstLine.length > 120 ? firstLine.slice(0, 117) + '...' : firstLine;
-      }
-    }
-  } catch {}
-  return null;
+function openHistory(minIntervalMs) {
+  if (!HISTORY_FILE) return null;
+  return createHistoryStore({
+    file: path.resolve(HISTORY_FILE),
+    retentionDays: Number(argValue('--history-days')) || 90,
+    compactAfterDays: Number(argValue('--history-compact-days')) || 7,
+    minIntervalMs,
+  });
 }
 
-const agentWorkSessions = [];
-const nowMs = Date.now();
-
-for (const agentName of Object.keys(AGENTS)) {
-  const sessions = getAgentSessions(agentName);
-  for (const [key, meta] of Object.entries(sessions)) {
-    // Only subagent and cron:run sessions (skip the main cron session itself)
-    const isSubagent = key.includes(':subagent:');
-    const isCronRun = key.includes(':cron:') && key.includes(':run:');
-    if (!isSubagent && !isCronRun) continue;
-
-    const ageMs = nowMs - (meta.updatedAt || 0);
-    const ageMin = Math.round(ageMs / 60000);
-
-    // Only show sessions active in last 120 minutes
-    if (ageMin > 120) continue;
-
-    const label = meta.label || null;
-    const taskDesc = label || extractTaskDescription(agentName, meta.sessionId) || 'Working...';
-    const isActive = ageMin <= 10;
-
-    agentWorkSessions.push({
-      agentName,
-      key,
-      ageMin,
-      taskDesc,
-      model: meta.model || '?',
-      isActive,
-      updatedAt: meta.updatedAt || 0,
-    });
-  }
+let alertConfig;
+try {
+  alertConfig = loadAlertConfig(argValue('--alerts') && path.resolve(argValue('--alerts')));
+} catch (e) {
+  console.error(`❌ Cannot read alert config: ${e.message}`);
+  process.exit(1);
+}
+alertConfig.rituals ??= criticalRituals(roster);
+if (!alertConfig.stateFile && alertConfig.sinks.length > 0 && source.kind !== 'fixture') {
+  alertConfig.stateFile = path.join(source.root, 'workspace', 'dashboard-alerts-state.json');
 }
 
-// Also collect 24h sessions per agent for the Task Audit cards
-const perAgentTasks = {};  // agentName -> [{taskDesc, ageMin, model, isActive, updatedAt}]
-
-for (const agentName of Object.keys(AGENTS)) {
-  perAgentTasks[agentName] = [];
-  const sessions = getAgentSessions(agentName);
-  for (const [key, meta] of Object.entries(sessions)) {
-    const isSubagent = key.includes(':subagent:');
-    const isCronRun = key.includes(':cron:') && key.includes(':run:');
-    if (!isSubagent && !isCronRun) continue;
-
-    const ageMs = nowMs - (meta.updatedAt || 0);
-    const ageMin = Math.round(ageMs / 60000);
-    if (ageMin > 1440) continue; // 24h window
-
-    const label = meta.label || null;
-    const taskDesc = label || extractTaskDescription(agentName, meta.sessionId) || 'Working...';
-    const isActive = ageMin <= 10;
-
-    perAgentTasks[agentName].push({ taskDesc, ageMin, model: meta.model || '?', isActive, updatedAt: meta.updatedAt || 0 });
+let redactConfig;
+try {
+  redactConfig = loadRedactConfig(argValue('--redact') && path.resolve(argValue('--redact')));
+} catch (e) {
+  console.error(`❌ Cannot read redaction config: ${e.message}`);
+  process.exit(1);
+}
+// Fixture replays get a fresh salt per run; there is no workspace to keep one in.
+if (PROFILE === 'public' && !redactConfig.salt) {
+  const saltFile = source.kind === 'fixture' ? null : path.join(source.root, 'workspace', 'dashboard-redact-salt');
+  try {
+    redactConfig.salt = loadSalt(saltFile);
+  } catch (e) {
+    console.error(`❌ Cannot read redaction salt ${saltFile}: ${e.message}`);
+    process.exit(1);
   }
-  perAgentTasks[agentName].sort((a, b) => b.updatedAt - a.updatedAt);
 }
 
-// Sort: active first, then by recency
-agentWorkSessions.sort((a, b) => {
-  if (a.isActive !== b.isActive) return a.isActive ? -1 : 1;
-  return b.updatedAt - a.updatedAt;
-});
-
-// ── Build HTML fragments ─────────────────────────────────────────────────────
-
-const now = fmtTime();
-const isoNow = new Date().toISOString();
-
-// Stats
-const cronCount = cronJobs.length;
-const activeAgentCount = agentWorkSessions.filter(s => s.isActive).length;
-const activeCount = activeSessions.length;
-const totalSessions = allSessions.length;
-
-// Cron table
-const cronRows = cronJobs.map(j => {
-  const id = (j.id || '').slice(0, 8);
-  const name = escHtml(j.name || j.id || 'unnamed');
-  const schedule = escHtml(j.schedule || j.cron || '?');
-  const agent = escHtml(j.agent || j.target_agent || '?');
-  const status = (j.status || 'unknown').toLowerCase();
-  const statusLabel = status.toUpperCase();
-  const statusColor = status === 'ok' ? '#48bb78' : status === 'error' ? '#fc8181' : '#a0a0a0';
-  const next = escHtml(j.next || j.nextRun || '-');
-  const last = escHtml(j.last || j.lastRun || '-');
-  return `<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">
-    <td style="padding:8px;"><code style="color:#667eea;">${id}</code></td>
-    <td style="padding:8px;">${name}</td>
-    <td style="padding:8px; font-size:11px;"><code>${schedule}</code></td>
-    <td style="padding:8px;">${agent}</td>
-    <td style="padding:8px;"><span style="color:${statusColor}; font-weight:600;">● ${statusLabel}</span></td>
-    <td style="padding:8px; font-size:12px;">${next}</td>
-    <td style="padding:8px; font-size:12px;">${last}</td>
-  </tr>`;
-}).join('\n');
+// Applied to every collection before anything is written or served
+function redact(c) {
+  return redactCollected(c, createRedactor(redactConfig, { profile: PROFILE, cronJobs: c.cronJobs }));
+}
 
-// Active sessions (legacy list)
-const sessionsHtml = activeSessions.length === 0
-  ? '<div style="color:#808080; font-style:italic; padding:8px;">No active sessions in the last hour</div>'
-  : activeSessions.map(s => {
-    const key = escHtml(s.key || s.id || '?');
-    const model = escHtml(s.model || '?');
-    const age = escHtml(s.age || '?');
-    const tokens = escHtml(s.tokens || s.contextTokens || '?');
-    return `<div style="display:flex; justify-content:space-between; align-items:center; padding:8px 0; border-bottom:1px solid rgba(255,255,255,0.05);">
-      <span style="color:#e0e0e0; font-size:13px; font-family:monospace;">${key}</span>
-      <span style="color:#a0a0a0; font-size:12px;">${model} · ${tokens} · ${age}</span>
-    </div>`;
-  }).join('\n');
+// Runs after every collection: reports timings, records history, then
+// evaluates alerts.
+function postCollect(history, alerter) {
+  return c => {
+    if (args.includes('--timings')) for (const line of timingReport(c.timings)) console.log(`⏱  ${line}`);
+    if (history) {
+      try {
+        history.record(c);
+        c.trends = history.trends(c);
+      } catch (e) {
+        source.warnings.push(`history ${history.file}: ${e.message}`);
+      }
+    }
+    c.alerts = alerter.update(c);
+  };
+}
 
-// Agent work sessions (subagents + cron runs)
-function formatAge(min) {
-  if (min < 1) return 'just now';
-  if (min < 60) return `${min}m ago`;
-  const h = Math.floor(min / 60);
-  const m = min % 60;
-  return m > 0 ? `${h}h ${m}m ago` : `${h}h ago`;
+// ── Record ───────────────────────────────────────────────────────────────────
+
+async function recordOnce() {
+  const { transcripts } = await recordFixture(source, RECORD_DIR, {
+    agentNames: AGENT_NAMES,
+    activeMinutes: ACTIVE_MINUTES,
+    // Keep every transcript the dashboard lists, so a replay matches the live run
+    windowMin: Math.max(WINDOW_DAYS, 1) * 1440,
+    workspaceFiles: roster.agents.flatMap(a => a.docs.map(doc => path.join(a.workspace, doc))),
+  });
+  for (const w of source.warnings) console.warn(`⚠️  ${w}`);
+  console.log(`✅ Recorded ${source.kind} source into ${RECORD_DIR} (${transcripts} transcripts)`);
 }
 
-const agentWorkHtml = agentWorkSessions.length === 0
-  ? '<div style="color:#808080; font-style:italic; padding:12px;">No agent work sessions in the last 2 hours</div>'
-  : agentWorkSessions.map(s => {
-    const agent = AGENTS[s.agentName] || AGENTS.main;
-    const statusDot = s.isActive
-      ? `<span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:#48bb78;margin-right:6px;animation:pulse 2s infinite;"></span>`
-      : `<span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:#808080;margin-right:6px;"></span>`;
-    const nameStyle = `color:${agent.color};font-weight:700;font-size:14px;`;
-    const statusLabel = s.isActive ? 'Running' : 'Completed';
-    const statusColor = s.isActive ? '#48bb78' : '#808080';
-    return `<div style="display:flex;align-items:flex-start;gap:12px;padding:10px 12px;margin-bottom:8px;background:rgba(255,255,255,0.02);border:1px solid rgba(255,255,255,0.06);border-radius:10px;${s.isActive ? 'border-left:3px solid ' + agent.color + ';' : ''}">
-      <img src="${agent.avatar}" alt="${s.agentName}" class="agent-avatar" style="width:36px;height:36px;border-radius:50%;object-fit:cover;">
-      <div style="flex:1;min-width:0;">
-        <div style="display:flex;align-items:center;gap:8px;margin-bottom:4px;">
-          ${statusDot}
-          <span style="${nameStyle}">${s.agentName.charAt(0).toUpperCase() + s.agentName.slice(1)}</span>
-          <span style="color:${statusColor};font-size:11px;font-weight:600;text-transform:uppercase;">${statusLabel}</span>
-          <span style="color:#606060;font-size:11px;margin-left:auto;">${formatAge(s.ageMin)}</span>
-        </div>
-        <div style="color:#c0c0c0;font-size:12px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escHtml(s.taskDesc)}</div>
-        <div style="color:#606060;font-size:10px;margin-top:2px;">${escHtml(s.model)}</div>
-      </div>
-    </div>`;
-  }).join('\n');
+function fatal(e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
 
-// ── Build "Currently Working" section ─────────────────────────────────────────
+// ── Serve ────────────────────────────────────────────────────────────────────
 
-const activeItems = agentWorkSessions.filter(s => s.isActive);
-let activeWorkItems = '';
-if (activeItems.length > 0) {
-  const itemsHtml = activeItems.map(s => {
-    const agent = AGENTS[s.agentName] || AGENTS.main;
-    const elapsedSec = Math.round((nowMs - s.updatedAt) / 1000);
-    return `<div class="cw-item">
-        <div class="cw-spinner" style="border-top-color:${agent.color};"></div>
-        <img src="${agent.avatar}" alt="${s.agentName}" style="width:32px;height:32px;border-radius:50%;object-fit:cover;flex-shrink:0;">
-        <div style="flex:1;min-width:0;">
-          <div style="display:flex;align-items:center;gap:8px;">
-            <span style="color:${agent.color};font-weight:700;font-size:14px;">${s.agentName.charAt(0).toUpperCase() + s.agentName.slice(1)}</span>
-            <span style="background:rgba(72,187,120,0.15);color:#48bb78;font-size:10px;font-weight:700;padding:2px 8px;border-radius:10px;text-transform:uppercase;letter-spacing:0.5px;">⚡ In Progress</span>
-          </div>
-          <div style="color:#d0d0d0;font-size:13px;margin-top:3px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escHtml(s.taskDesc)}</div>
-        </div>
-        <div class="cw-elapsed" data-started="${s.updatedAt}">${formatAge(s.ageMin)}</div>
-      </div>`;
-  }).join('\n');
+// Fixture replays have no workspace of their own to keep an audit log in,
+// and their actions go to the stub CLI answering from the same fixture.
+function controlOptions() {
+  const auditFile = argValue('--audit-log')
+    || (source.kind === 'fixture' ? null : path.join(source.root, 'workspace', 'dashboard-audit.jsonl'));
+  if (!auditFile) {
+    console.error('❌ --control with a fixture needs --audit-log <file>');
+    process.exit(1);
+  }
+  const token = argValue('--control-token') || process.env.DASHBOARD_CONTROL_TOKEN;
+  const cli = source.kind === 'fixture'
+    ? { bin: path.join(__dirname, 'openclaw-stub.js'), env: { OPENCLAW_FIXTURE: source.root } }
+    : source.bin ? { bin: source.bin } : {};
+  return { auditFile: path.resolve(auditFile), ...(token ? { token } : {}), ...cli };
+}
 
-  activeWorkItems = `<div class="currently-working-card">
-      <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
-        <span style="font-size:18px;">⚙️</span>
-        <span style="color:#e0e0e0;font-size:16px;font-weight:700;">Currently Working</span>
-        <span style="background:#48bb78;color:#000;font-size:11px;font-weight:700;padding:2px 8px;border-radius:10px;">${activeItems.length} ACTIVE</span>
-      </div>
-      ${itemsHtml}
-    </div>`;
+if (RECORD_DIR) {
+  recordOnce().catch(fatal);
+} else if (args.includes('--serve')) {
+  const live = startServer({
+    source,
+    roster,
+    prices,
+    windowDays: WINDOW_DAYS,
+    // Refreshes follow file changes; record history and save the session
+    // cache every 5 min at most
+    index: openSessionIndex(5 * 60000),
+    onCollect: postCollect(openHistory(5 * 60000), createAlerter(source, alertConfig)),
+    redact,
+    transcripts: PROFILE === 'private',
+    control: CONTROL ? controlOptions() : null,
+    port: Number(argValue('--port')) || 4173,
+  });
+  live.ready.catch(fatal);
+  for (const sig of ['SIGINT', 'SIGTERM']) {
+    process.on(sig, () => { live.close(); process.exit(0); });
+  }
 } else {
-  activeWorkItems = `<div style="background:rgba(255,255,255,0.02);border:1px solid rgba(255,255,255,0.06);border-radius:14px;padding:16px 18px;margin-bottom:16px;text-align:center;">
-      <span style="color:#606060;font-size:13px;">✨ All agents idle — no active tasks</span>
-    </div>`;
+  generateOnce().catch(fatal);
 }
 
-// ── Build live panel ─────────────────────────────────────────────────────────
-
-const livePanel = `<div id="live-data-panel" class="org-tier">
-  <div class="team-collab-section">
-    <h2 class="section-title">⚡ Live System Status <span style="font-size:12px;color:#808080;font-weight:normal;">Auto-updated ${now}</span></h2>
-    
-    <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(130px,1fr));gap:12px;margin-bottom:20px;">
-      <div style="background:rgba(102,126,234,0.1);border:1px solid rgba(102,126,234,0.3);border-radius:10px;padding:16px;text-align:center;">
-        <div style="font-size:28px;font-weight:bold;color:#667eea;">${cronCount}</div>
-        <div style="font-size:11px;color:#a0a0a0;margin-top:4px;">Scheduled Jobs</div>
-      </div>
-      <div style="background:rgba(72,187,120,0.1);border:1px solid rgba(72,187,120,0.3);border-radius:10px;padding:16px;text-align:center;">
-        <div style="font-size:28px;font-weight:bold;color:#48bb78;">${activeAgentCount}</div>
-        <div style="font-size:11px;color:#a0a0a0;margin-top:4px;">Agents Working</div>
-      </div>
-      <div style="background:rgba(237,137,54,0.1);border:1px solid rgba(237,137,54,0.3);border-radius:10px;padding:16px;text-align:center;">
-        <div style="font-size:28px;font-weight:bold;color:#ed8936;">${totalSessions}</div>
-        <div style="font-size:11px;color:#a0a0a0;margin-top:4px;">Total Sessions</div>
-      </div>
-      <div style="background:rgba(159,122,234,0.1);border:1px solid rgba(159,122,234,0.3);border-radius:10px;padding:16px;text-align:center;">
-        <div style="font-size:28px;font-weight:bold;color:#9f7aea;">4</div>
-        <div style="font-size:11px;color:#a0a0a0;margin-top:4px;">Agents</div>
-      </div>
-    </div>
-
-    <style>
-      @keyframes pulse{0%,100%{opacity:1}50%{opacity:.4}}
-      @keyframes spin{0%{transform:rotate(0deg)}100%{transform:rotate(360deg)}}
-      @keyframes glow-pulse{0%,100%{box-shadow:0 0 8px rgba(72,187,120,0.3)}50%{box-shadow:0 0 20px rgba(72,187,120,0.6)}}
-      @keyframes slide-glow{0%{background-position:200% 0}100%{background-position:-200% 0}}
-      .currently-working-card{background:linear-gradient(135deg,rgba(72,187,120,0.08),rgba(102,126,234,0.05));border:1px solid rgba(72,187,120,0.25);border-radius:14px;padding:16px 18px;margin-bottom:16px;position:relative;overflow:hidden;}
-      .currently-working-card::before{content:'';position:absolute;top:0;left:0;right:0;height:2px;background:linear-gradient(90deg,transparent,#48bb78,#667eea,transparent);background-size:200% 100%;animation:slide-glow 3s linear infinite;}
-      .cw-item{display:flex;align-items:center;gap:14px;padding:12px 14px;margin:8px 0;background:rgba(0,0,0,0.2);border:1px solid rgba(72,187,120,0.15);border-radius:10px;animation:glow-pulse 3s ease-in-out infinite;}
-      .cw-spinner{width:20px;height:20px;border:2.5px solid rgba(72,187,120,0.2);border-top-color:#48bb78;border-radius:50%;animation:spin 1s linear infinite;flex-shrink:0;}
-      .cw-elapsed{font-variant-numeric:tabular-nums;color:#48bb78;font-size:12px;font-weight:600;font-family:monospace;min-width:48px;text-align:right;}
-    </style>
-
-    ${activeWorkItems}
+// ── One-shot generation ──────────────────────────────────────────────────────
 
-    <div class="collab-card">
-      <h3 class="collab-heading">🤖 Agent Work Sessions <span style="font-size:11px;color:#808080;font-weight:normal;">(last 2 hours · ${agentWorkSessions.length} total)</span></h3>
-      <div class="scrollable-list" style="max-height:320px;overflow-y:auto;padding:4px 0;">
-        ${agentWorkHtml}
-      </div>
-    </div>
-
-    <script>
-      (function(){
-        function fmtElapsed(ms){
-          var s=Math.floor(ms/1000),m=Math.floor(s/60),h=Math.floor(m/60);
-          if(h>0)return h+'h '+String(m%60).padStart(2,'0')+'m';
-          if(m>0)return m+'m '+String(s%60).padStart(2,'0')+'s';
-          return s+'s';
-        }
-        setInterval(function(){
-          document.querySelectorAll('.cw-elapsed[data-started]').forEach(function(el){
-            var started=parseInt(el.getAttribute('data-started'),10);
-            if(started)el.textContent=fmtElapsed(Date.now()-started);
-          });
-        },1000);
-      })();
-    </script>
-
-    <div class="collab-card">
-      <h3 class="collab-heading">🕐 Active Sessions (Last Hour)</h3>
-      <div class="scrollable-list" style="max-height:250px;overflow-y:auto;padding:4px 0;">
-        ${sessionsHtml}
-      </div>
-    </div>
-    
-    <div class="collab-card">
-      <h3 class="collab-heading">📋 All Scheduled Jobs <span style="font-size:11px;color:#808080;font-weight:normal;">(live from openclaw cron list)</span></h3>
-      <div style="overflow-x:auto;">
-        <table style="width:100%;border-collapse:collapse;font-size:13px;">
-          <thead>
-            <tr style="border-bottom:2px solid rgba(102,126,234,0.3);">
-              <th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">ID</th>
-              <th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">Name</th>
-              <th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">Schedule</th>
-              <th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">Agent</th>
-              <th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">Status</th>
-              <th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">Next</th>
-              <th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">Last</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${cronRows}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  </div>
-</div>`;
-
-// ── Inject into dashboard ────────────────────────────────────────────────────
-
-let html = fs.readFileSync(DASHBOARD, 'utf8');
-
-// Update timestamp
-html = html.replace(/data-last-updated="[^"]*"/, `data-last-updated="${isoNow}"`);
-
-const START = '<!-- LIVE-DATA-START -->';
-const END = '<!-- LIVE-DATA-END -->';
-
-if (html.includes(START) && html.includes(END)) {
-  // Replace existing
-  const si = html.indexOf(START);
-  const ei = html.indexOf(END) + END.length;
-  html = html.substring(0, si) + START + '\n' + livePanel + '\n' + END + html.substring(ei);
-} else {
-  // First injection: before Team Collaboration Timeline
-  const marker = '<!-- Team Collaboration Timeline -->';
-  const idx = html.indexOf(marker);
-  if (idx !== -1) {
-    html = html.substring(0, idx) + START + '\n' + livePanel + '\n' + END + '\n\n            ' + html.substring(idx);
-  } else {
-    // Fallback: before <script>
-    const si = html.indexOf('<script>');
-    if (si !== -1) {
-      html = html.substring(0, si) + START + '\n' + livePanel + '\n' + END + '\n\n    ' + html.substring(si);
-    }
+function writeDashboardJson(c) {
+  const data = toDashboardData(c);
+  const errors = validateDashboardData(data);
+  if (errors.length > 0) {
+    console.error(`❌ Refusing to write ${JSON_OUT}, output does not match schema v${SCHEMA_VERSION}:\n  ` + errors.join('\n  '));
+    process.exit(1);
   }
+  fs.mkdirSync(path.dirname(JSON_OUT), { recursive: true });
+  fs.writeFileSync(JSON_OUT, JSON.stringify(data, null, 2) + '\n');
 }
 
-// ── Inject per-agent Task Audit data into agent cards ────────────────────────
-
-function buildTaskAuditHtml(tasks) {
-  if (tasks.length === 0) {
-    return '<p style="color: #808080; font-style: italic;">No tasks in last 24 hours</p>';
+function writeSessionDetails(c) {
+  const dir = path.join(path.dirname(JSON_OUT), 'sessions');
+  let written = 0;
+  for (const [agentName, sessionId] of linkedSessions(c)) {
+    const detail = collectSessionDetail(source, agentName, sessionId);
+    if (!detail) continue;
+    fs.mkdirSync(path.join(dir, agentName), { recursive: true });
+    fs.writeFileSync(path.join(dir, agentName, `${sessionId}.json`), JSON.stringify(detail) + '\n');
+    written++;
   }
-  return tasks.map(t => {
-    const timeStr = new Date(t.updatedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TZ });
-    const statusDot = t.isActive ? '🟢' : '✅';
-    return `<div class="task-item">
-                                <div class="task-name">${statusDot} ${escHtml(t.taskDesc)}</div>
-                                <div class="task-meta">${escHtml(t.model)} · ${formatAge(t.ageMin)} · ${timeStr}</div>
-                            </div>`;
-  }).join('\n                                ');
+  console.log(`📝 Wrote ${written} session transcripts to ${dir}`);
 }
 
-// Agent name mapping for HTML ids
-const agentIdMap = { main: 'tim', atlas: 'atlas', mason: 'mason', reid: 'reid', chase: 'chase' };
-
-for (const [agentName, tasks] of Object.entries(perAgentTasks)) {
-  const htmlId = agentIdMap[agentName];
-  if (!htmlId) continue;
-  const divId = `${htmlId}-tasks`;
-  
-  // Use comment markers for clean replacement
-  const startMarker = `<!-- ${divId}-START -->`;
-  const endMarker = `<!-- ${divId}-END -->`;
-  
-  const newContent = `${startMarker}\n                                ${buildTaskAuditHtml(tasks)}\n                            ${endMarker}`;
-  
-  if (html.includes(startMarker) && html.includes(endMarker)) {
-    // Replace between markers
-    const si = html.indexOf(startMarker);
-    const ei = html.indexOf(endMarker) + endMarker.length;
-    html = html.substring(0, si) + newContent + html.substring(ei);
+async function generateOnce() {
+  const collected = await collectDashboard(source, { roster, prices, windowDays: WINDOW_DAYS, index: openSessionIndex(0) });
+  postCollect(openHistory(0), createAlerter(source, alertConfig))(collected);
+  const c = redact(collected);
+  if (EXPORT_DIR) {
+    let counts;
+    try {
+      counts = exportSite(EXPORT_DIR, c, source, { roster, assetRoot: path.dirname(ROSTER_FILE), docs: PROFILE === 'private' });
+    } catch (e) {
+      console.error(`❌ Cannot export to ${EXPORT_DIR}: ${e.message}`);
+      process.exit(1);
+    }
+    console.log(`📦 Exported ${counts.agents} agent pages, ${counts.sessions} session pages and ${counts.assets} assets to ${EXPORT_DIR}`);
+  } else if (JSON_MODE) {
+    writeDashboardJson(c);
+    if (WRITE_TRANSCRIPTS) writeSessionDetails(c);
   } else {
-    // First time: replace everything between the opening div tag and its close
-    const startTag = `<div class="dropdown-content" id="${divId}">`;
-    const si = html.indexOf(startTag);
-    if (si === -1) continue;
-    
-    // Find the next toggle-dropdown button or dropdown-section end as boundary
-    const nextToggle = html.indexOf('<button class="toggle-dropdown"', si + startTag.length);
-    const nextFileLink = html.indexOf('<a href=', si + startTag.length);
-    // Find the </div> just before the next sibling element
-    let boundary = nextToggle;
-    if (nextFileLink !== -1 && nextFileLink < boundary) boundary = nextFileLink;
-    
-    // Find the last </div> before the boundary
-    let lastDivClose = html.lastIndexOf('</div>', boundary);
-    if (lastDivClose <= si) continue;
-    
-    const replacement = startTag + '\n                                ' + newContent + '\n                            </div>';
-    html = html.substring(0, si) + replacement + html.substring(lastDivClose + 6);
+    try {
+      writeHtmlDashboard(HTML_OUT, c);
+    } catch (e) {
+      console.error(`❌ Refusing to write ${HTML_OUT}: ${e.message}`);
+      process.exit(1);
+    }
   }
+  for (const w of source.warnings) console.warn(`⚠️  ${w}`);
+  console.log(`✅ Dashboard updated at ${fmtTime(c.nowMs)} (${PROFILE}) — ${c.cronJobs.length} jobs, ${c.activeSessions.length} active sessions, ${c.allSessions.length} total sessions, ${c.alerts.length} alerts`);
 }
-
-fs.writeFileSync(DASHBOARD, html);
-console.log(`✅ Dashboard updated at ${now} — ${cronCount} jobs, ${activeCount} active sessions, ${totalSessions} total sessions`);
@@ -0,0 +1,262 @@
+/**
+ * alerts.js
+ * Rules engine for stuck sessions, failed cron runs and missed rituals, with
+ * deduplicated delivery to pluggable sinks. Configure it with
+ * `--alerts <file.json>`; every key is optional:
+ *
+ *   {
+ *     "stuckMinutes": 30,
+ *     "agents": { "mason": { "stuckMinutes": 90 } },
+ *     "jobs": {
+ *       "Granola Sync": { "errorsBeforeAlert": 2, "alertOnMiss": true },
+ *       "073e670c": { "muted": true }
+ *     },
+ *     "rituals": ["Team Standup", "Morning Brief"],
+ *     "sinks": [
+ *       { "type": "log", "file": "alerts.log" },
+ *       { "type": "webhook", "url": "http://127.0.0.1:9000/hook" },
+ *       { "type": "command", "command": "notify-send \"$ALERT_TITLE\"" }
+ *     ],
+ *     "stateFile": "alerts-state.json"
+ *   }
+ *
+ * Jobs are matched by full id, 8-character id or name. Rituals name jobs by
+ * prefix and alert when they miss their slot; without the key, the roster's
+ * critical rituals are used. Relative paths resolve against
+ * the config file.
+ *
+ * Sinks receive `{ event: "fired"|"resolved", at, alert }` once per change;
+ * the ids already notified are kept in `stateFile` so one-shot runs don't
+ * repeat themselves.
+ */
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ACTIVE_STATES, lastActivity, sessionState } = require('./transcript');
+
+const DEFAULT_ALERT_CONFIG = {
+  stuckMinutes: 30,
+  agents: {},
+  jobs: {},
+  rituals: null,  // defaults to the roster's critical rituals
+  sinks: [],
+  stateFile: null,
+};
+
+const SINK_TIMEOUT_MS = 10000;
+// Sessions untouched for longer than this are history, not stuck.
+const STUCK_LOOKBACK_MS = 24 * 3600000;
+
+function loadAlertConfig(file) {
+  if (!file) return { ...DEFAULT_ALERT_CONFIG };
+  const config = { ...DEFAULT_ALERT_CONFIG, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  const rel = p => (p ? path.resolve(path.dirname(file), p) : p);
+  for (const sink of config.sinks) {
+    if (!['log', 'webhook', 'command'].includes(sink.type)) throw new Error(`unknown alert sink type "${sink.type}"`);
+    if (sink.type === 'log') sink.file = rel(sink.file);
+  }
+  config.stateFile = rel(config.stateFile);
+  return config;
+}
+
+function jobConfig(config, job) {
+  return config.jobs[job.id] || config.jobs[(job.id || '').slice(0, 8)] || config.jobs[job.name] || {};
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+// Sessions that stopped mid-turn and whose transcript hasn't grown since.
+// Transcripts come from the collection's session index (see session-index.js).
+function stuckSessions(c, config) {
+  const alerts = [];
+  for (const agentName of c.agentNames) {
+    const limitMin = config.agents[agentName]?.stuckMinutes ?? config.stuckMinutes;
+    for (const [key, meta] of Object.entries(c.index.store(agentName))) {
+      if (!meta.sessionId || (key.includes(':cron:') && !key.includes(':run:'))) continue;
+      if (c.nowMs - (meta.updatedAt || 0) > STUCK_LOOKBACK_MS) continue;
+      const summary = c.index.summary(agentName, meta.sessionId);
+      if (summary === null) continue;
+      const lastWrite = lastActivity(summary, meta.updatedAt) ?? 0;
+      const idleMin = Math.floor((c.nowMs - lastWrite) / 60000);
+      // Still open; completed, errored and aborted sessions aren't stuck
+      const { state } = sessionState(summary, c.nowMs, meta.updatedAt);
+      if (!(ACTIVE_STATES.includes(state) || state === 'stale') || idleMin < limitMin) continue;
+      const waiting = summary.entries.at(-1)?.parts?.some(p => p.type === 'toolCall' && !p.result);
+      alerts.push({
+        id: `stuck:${agentName}:${meta.sessionId}`,
+        rule: 'stuck',
+        severity: 'warning',
+        title: `${agentName} session stuck for ${idleMin}m`,
+        detail: `${meta.label || key} — no transcript activity since ${new Date(lastWrite).toISOString()}`
+          + (waiting ? ' (waiting on a tool call)' : ''),
+        agent: agentName,
+        sessionId: meta.sessionId,
+        since: lastWrite,
+      });
+    }
+  }
+  return alerts;
+}
+
+function cronAlerts(c, config) {
+  const alerts = [];
+  const rituals = config.rituals.map(r => r.toLowerCase());
+  for (const job of c.cronJobs) {
+    const health = c.cronHealth.get(job.id);
+    const jc = jobConfig(config, job);
+    if (!health || jc.muted) continue;
+    const name = job.name || job.id;
+
+    const streak = health.runs.findIndex(r => r.status !== 'error');
+    const errors = streak === -1 ? health.runs.length : streak;
+    if (errors > 0 && errors >= (jc.errorsBeforeAlert ?? 1)) {
+      const run = health.runs[0];
+      alerts.push({
+        id: `cron-error:${job.id}:${run.sessionId}`,
+        rule: 'cron-error',
+        severity: 'error',
+        title: errors > 1 ? `${name} failed ${errors} runs in a row` : `${name} failed`,
+        detail: run.error || 'run errored',
+        agent: run.agent,
+        jobId: job.id,
+        sessionId: run.sessionId,
+        since: run.endedAt ?? c.nowMs,
+      });
+    }
+
+    const isRitual = rituals.some(r => name.toLowerCase().startsWith(r));
+    if (health.overdue && (isRitual || jc.alertOnMiss)) {
+      alerts.push({
+        id: `missed:${job.id}:${health.overdueSince}`,
+        rule: isRitual ? 'ritual-missed' : 'cron-missed',
+        severity: isRitual ? 'error' : 'warning',
+        title: `${name} did not run`,
+        detail: `expected at ${new Date(health.overdueSince).toISOString()}`,
+        agent: health.agent || job.agentId || job.agent || '?',
+        jobId: job.id,
+        since: health.overdueSince,
+      });
+    }
+  }
+
+  // A ritual with no job at all is missed every day
+  for (const ritual of config.rituals) {
+    if (c.cronJobs.some(j => (j.name || '').toLowerCase().startsWith(ritual.toLowerCase()))) continue;
+    alerts.push({
+      id: `ritual-missing:${ritual}`,
+      rule: 'ritual-missed',
+      severity: 'error',
+      title: `${ritual} has no cron job`,
+      detail: `no job named "${ritual}…" in the cron list`,
+      agent: c.coordinator,
+      since: c.nowMs,
+    });
+  }
+  return alerts;
+}
+
+function evaluateAlerts(c, config) {
+  const order = { error: 0, warning: 1 };
+  return [...cronAlerts(c, config), ...stuckSessions(c, config)]
+    .sort((a, b) => order[a.severity] - order[b.severity] || b.since - a.since);
+}
+
+// ── Sinks ────────────────────────────────────────────────────────────────────
+
+function postJson(url, body) {
+  const u = new URL(url);
+  const req = (u.protocol === 'https:' ? https : http).request(u, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    timeout: SINK_TIMEOUT_MS,
+  }, res => {
+    res.resume();
+    if (res.statusCode >= 300) console.warn(`⚠️  alert webhook ${url} answered ${res.statusCode}`);
+  });
+  req.on('timeout', () => req.destroy(new Error('timed out')));
+  req.on('error', e => console.warn(`⚠️  alert webhook ${url}: ${e.message}`));
+  req.end(body);
+}
+
+// The event is on stdin as JSON and summarised in ALERT_* variables.
+function runCommand(command, event) {
+  const child = spawn('sh', ['-c', command], {
+    stdio: ['pipe', 'ignore', 'inherit'],
+    env: {
+      ...process.env,
+      ALERT_EVENT: event.event,
+      ALERT_ID: event.alert.id,
+      ALERT_RULE: event.alert.rule,
+      ALERT_SEVERITY: event.alert.severity,
+      ALERT_TITLE: event.alert.title,
+      ALERT_DETAIL: event.alert.detail,
+    },
+  });
+  const timer = setTimeout(() => child.kill(), SINK_TIMEOUT_MS);
+  child.on('error', e => console.warn(`⚠️  alert command failed: ${e.message}`));
+  child.on('exit', code => {
+    clearTimeout(timer);
+    if (code) console.warn(`⚠️  alert command exited with ${code}`);
+  });
+  child.stdin.on('error', () => {});
+  child.stdin.end(JSON.stringify(event) + '\n');
+}
+
+function deliver(sink, event) {
+  if (sink.type === 'log') {
+    fs.mkdirSync(path.dirname(sink.file), { recursive: true });
+    fs.appendFileSync(sink.file, JSON.stringify(event) + '\n');
+  } else if (sink.type === 'webhook') postJson(sink.url, JSON.stringify(event));
+  else if (sink.type === 'command') runCommand(sink.command, event);
+}
+
+// ── Alerter ──────────────────────────────────────────────────────────────────
+
+function createAlerter(source, config) {
+  let notified = null;  // alert id -> alert, as last delivered
+
+  function loadState() {
+    if (notified) return notified;
+    notified = new Map();
+    if (!config.stateFile) return notified;
+    try {
+      for (const a of JSON.parse(fs.readFileSync(config.stateFile, 'utf8')).active || []) notified.set(a.id, a);
+    } catch (e) {
+      if (e.code !== 'ENOENT') source.warnings.push(`alerts state ${config.stateFile}: ${e.message}`);
+    }
+    return notified;
+  }
+
+  return {
+    // Evaluates the rules against collected data `c`, delivers what changed
+    // since the last call and returns the active alerts.
+    update(c) {
+      const alerts = evaluateAlerts(c, config);
+      const prev = loadState();
+      const at = new Date(c.nowMs).toISOString();
+      const events = [
+        ...alerts.filter(a => !prev.has(a.id)).map(alert => ({ event: 'fired', at, alert })),
+        ...[...prev.values()].filter(a => !alerts.some(b => b.id === a.id)).map(alert => ({ event: 'resolved', at, alert })),
+      ];
+      for (const event of events) {
+        for (const sink of config.sinks) {
+          try {
+            deliver(sink, event);
+          } catch (e) {
+            source.warnings.push(`alert sink ${sink.type}: ${e.message}`);
+          }
+        }
+      }
+      notified = new Map(alerts.map(a => [a.id, a]));
+      if (events.length > 0 && config.stateFile) {
+        fs.mkdirSync(path.dirname(config.stateFile), { recursive: true });
+        fs.writeFileSync(config.stateFile, JSON.stringify({ updatedAt: at, active: alerts }, null, 2) + '\n');
+      }
+      return alerts;
+    },
+  };
+}
+
+module.exports = { DEFAULT_ALERT_CONFIG, loadAlertConfig, evaluateAlerts, createAlerter };
@@ -0,0 +1,271 @@
+/**
+ * collect.js
+ * Gathers everything the dashboard shows from a data source (see
+ * data-sources.js) and shapes it into dashboard-data.json. Session stores
+ * and transcripts are read once per collection through a session index (see
+ * session-index.js); CLI lists are fetched side by side.
+ */
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { fmtTime, fmtWhen, formatAge, formatDuration, formatSchedule } = require('./format');
+const { collectCronHealth } = require('./cron');
+const { SCHEMA_VERSION } = require('./dashboard-schema');
+const { collectLineage } = require('./lineage');
+const { coordinatorOf, toJsonRoster } = require('./roster');
+const { createSessionIndex, summarizeTranscript } = require('./session-index');
+const { ACTIVE_STATES, FAILED_STATES, parseTranscript, sessionState } = require('./transcript');
+const { DEFAULT_PRICES, WINDOW_DAYS: USAGE_WINDOW_DAYS, collectUsage } = require('./usage');
+
+const ACTIVE_MINUTES = 60;
+const SESSION_WINDOW_DAYS = 7;
+
+// CLI output varies between versions; flatten a job to the fields we display.
+// With `health` (see cron.js) status, next and last come from the computed
+// schedule and the job's run sessions instead.
+function normalizeCronJob(j, health = null, nowMs = Date.now()) {
+  const job = {
+    id: (j.id || '').slice(0, 8),
+    name: j.name || j.id || 'unnamed',
+    schedule: formatSchedule(j.schedule || j.cron),
+    agent: j.agent || j.target_agent || j.agentId || health?.agent || '?',
+    status: (j.status || 'unknown').toLowerCase(),
+    next: String(j.next || j.nextRun || '-'),
+    last: String(j.last || j.lastRun || '-'),
+  };
+  if (!health) return job;
+
+  if (health.lastStatus) job.status = health.lastStatus;
+  if (!health.enabled) job.next = 'paused';
+  else if (health.nextRunAt !== null) job.next = health.nextRunAt <= nowMs ? 'due now' : fmtWhen(health.nextRunAt, nowMs);
+  if (health.lastRunAt !== null) {
+    job.last = formatAge(Math.round((nowMs - health.lastRunAt) / 60000))
+      + (health.lastDurationMs !== null ? ` · ${formatDuration(health.lastDurationMs)}` : '');
+  }
+  return {
+    ...job,
+    jobId: String(j.id || ''),
+    enabled: health.enabled,
+    overdue: health.overdue,
+    nextRunAt: health.nextRunAt,
+    lastRunAt: health.lastRunAt,
+    lastDurationMs: health.lastDurationMs,
+    lastError: health.lastError,
+    runs: health.runs,
+  };
+}
+
+// ── Subagent sessions across all agents ──────────────────────────────────────
+
+// Subagent and cron:run sessions (not the cron alias) updated within
+// `windowMin`, newest first. Each one's transcript summary gives its
+// description, state (see transcript.js) and span (first to last entry).
+// A session is active while it is running or waiting on a tool.
+function collectWorkSessions(index, { agentNames, nowMs, windowMin }) {
+  const sessions = [];
+  for (const agentName of agentNames) {
+    for (const [key, meta] of Object.entries(index.store(agentName))) {
+      const kind = key.includes(':subagent:') ? 'subagent'
+        : key.includes(':cron:') && key.includes(':run:') ? 'cron' : null;
+      if (!kind) continue;
+
+      const updatedAt = meta.updatedAt || 0;
+      const ageMin = Math.round((nowMs - updatedAt) / 60000);
+      if (ageMin > windowMin) continue;
+
+      const summary = meta.sessionId ? index.summary(agentName, meta.sessionId) : null;
+      const { state, reason } = sessionState(summary, nowMs, updatedAt);
+      sessions.push({
+        agentName,
+        key,
+        kind,
+        sessionId: meta.sessionId || null,
+        ageMin,
+        taskDesc: meta.label || summary?.task || 'Working...',
+        model: meta.model || '?',
+        isActive: ACTIVE_STATES.includes(state),
+        status: state,
+        reason,
+        error: FAILED_STATES.includes(state) ? reason : null,
+        startedAt: summary?.startedAt ?? null,
+        endedAt: summary?.endedAt ?? null,
+        updatedAt,
+      });
+    }
+  }
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+const elapsed = t0 => Math.round(performance.now() - t0);
+
+// `roster` is a loaded roster.json (see roster.js); its agents are the ones
+// whose sessions are read. Work sessions go back `windowDays`; the fixed
+// recentSessions (2h) and agentTasks (24h) lists are cut from them. Pass a
+// long-lived `index` to reuse transcript summaries between collections.
+// `timings` holds each phase's milliseconds (see timingReport).
+async function collectDashboard(source, { roster, prices = DEFAULT_PRICES, windowDays = SESSION_WINDOW_DAYS, index = createSessionIndex(source) }) {
+  const started = performance.now();
+  const phases = {};
+  const timed = (name, fn) => {
+    const t0 = performance.now();
+    const out = fn();
+    phases[name] = elapsed(t0);
+    return out;
+  };
+
+  const nowMs = source.now();
+  const agentNames = roster.agents.map(a => a.name);
+  let t0 = performance.now();
+  const [cronJobs, activeSessions, allSessions] = await Promise.all([
+    source.listCronJobs(),
+    source.listSessions({ activeMinutes: ACTIVE_MINUTES }),
+    source.listSessions(),
+  ]);
+  phases.lists = elapsed(t0);
+
+  const windowMin = Math.max(windowDays, 1) * 1440;
+  timed('stores', () => index.begin(agentNames, { since: nowMs - USAGE_WINDOW_DAYS * 86400000 }));
+  const workSessions = timed('workSessions', () => collectWorkSessions(index, { agentNames, nowMs, windowMin }));
+
+  // Active first, then by recency
+  const agentWorkSessions = workSessions.filter(s => s.ageMin <= 120)
+    .sort((a, b) => (a.isActive !== b.isActive ? (a.isActive ? -1 : 1) : b.updatedAt - a.updatedAt));
+
+  // 24h sessions per agent for the Task Audit cards
+  const perAgentTasks = {};
+  for (const agentName of agentNames) {
+    perAgentTasks[agentName] = workSessions.filter(s => s.agentName === agentName && s.ageMin <= 1440);
+  }
+
+  const cronHealth = timed('cron', () => collectCronHealth(index, { agentNames, cronJobs, nowMs }));
+
+  const describe = (agentName, key, meta) => meta.label || (meta.sessionId && index.summary(agentName, meta.sessionId)?.task) || key;
+  const usage = timed('usage', () => collectUsage(index, { agentNames, cronJobs, nowMs, prices, describe }));
+  const lineage = timed('lineage', () => collectLineage(index, { agentNames, nowMs, windowMin, describe }));
+  t0 = performance.now();
+  index.save();
+  phases.cache = elapsed(t0);
+
+  return {
+    nowMs,
+    agentNames,
+    coordinator: coordinatorOf(roster).name,
+    roster: toJsonRoster(roster, path.join(source.root, 'workspace')),
+    cronJobs,
+    cronHealth,
+    activeSessions,
+    allSessions,
+    workSessions,
+    windowDays,
+    agentWorkSessions,
+    perAgentTasks,
+    usage,
+    lineage,
+    index,
+    timings: { totalMs: elapsed(started), phases, transcripts: index.stats() },
+  };
+}
+
+// Lines for `c.timings`: where a collection spent its time and how much of
+// each transcript it had to read.
+function timingReport(t) {
+  const x = t.transcripts;
+  const kb = Math.round(x.bytes / 1024);
+  return [
+    `collected in ${t.totalMs} ms (${Object.entries(t.phases).map(([name, ms]) => `${name} ${ms}`).join(', ')})`,
+    `${x.storesRead}/${x.stores} session stores read; ${x.transcripts} transcripts: ${x.cached} unchanged, `
+      + `${x.appended} read from where they left off, ${x.full} in full (${kb} KB in ${x.readMs} ms)`,
+  ];
+}
+
+// ── Session drill-down ───────────────────────────────────────────────────────
+
+// Full parsed transcript for one session, or null when there is none.
+function collectSessionDetail(source, agentName, sessionId) {
+  const raw = source.readTranscript(agentName, sessionId);
+  if (raw === null) return null;
+  const [key, meta] = Object.entries(source.readAgentSessions(agentName))
+    .find(([, m]) => m.sessionId === sessionId) || [null, {}];
+  return {
+    agent: agentName,
+    sessionId,
+    key,
+    label: meta.label || summarizeTranscript(raw).task,
+    model: meta.model || null,
+    updatedAt: meta.updatedAt || null,
+    ...parseTranscript(raw),
+  };
+}
+
+// Every session the dashboard links to, as [agentName, sessionId] pairs.
+function linkedSessions(c) {
+  const seen = new Map();
+  const all = [...c.workSessions];
+  for (const health of c.cronHealth.values()) all.push(...health.runs.map(r => ({ agentName: r.agent, sessionId: r.sessionId })));
+  for (const n of c.lineage || []) all.push({ agentName: n.agent, sessionId: n.sessionId });
+  for (const s of all) {
+    if (s.sessionId) seen.set(`${s.agentName}/${s.sessionId}`, [s.agentName, s.sessionId]);
+  }
+  return [...seen.values()];
+}
+
+// ── dashboard-data.json ──────────────────────────────────────────────────────
+
+function toJsonSession(s) {
+  const out = {
+    agent: s.agentName,
+    task: s.taskDesc,
+    model: s.model,
+    isActive: s.isActive,
+    updatedAt: s.updatedAt,
+    ageMin: s.ageMin,
+    key: s.key,
+  };
+  if (s.sessionId) out.sessionId = s.sessionId;
+  if (s.kind) Object.assign(out, { kind: s.kind, status: s.status, reason: s.reason, error: s.error, startedAt: s.startedAt, endedAt: s.endedAt });
+  return out;
+}
+
+function toDashboardData(c) {
+  const agentTasks = {};
+  for (const [agentName, tasks] of Object.entries(c.perAgentTasks)) {
+    agentTasks[agentName] = tasks.map(toJsonSession);
+  }
+  const data = {
+    schemaVersion: SCHEMA_VERSION,
+    updatedAt: new Date(c.nowMs).toISOString(),
+    updatedAtFormatted: fmtTime(c.nowMs),
+    stats: {
+      cronJobs: c.cronJobs.length,
+      agentsWorking: c.agentWorkSessions.filter(s => s.isActive).length,
+      totalSessions: c.allSessions.length,
+      agentCount: c.agentNames.filter(a => a !== c.coordinator).length,
+    },
+    cronJobs: c.cronJobs.map(j => normalizeCronJob(j, c.cronHealth.get(j.id), c.nowMs)),
+    recentSessions: c.agentWorkSessions.map(toJsonSession),
+    agentTasks,
+    activeSessions: c.activeSessions.map(s => ({
+      key: String(s.key || s.id || '?'),
+      model: String(s.model || '?'),
+      tokens: s.tokens || s.contextTokens || '?',
+      age: String(s.age || (s.ageMs != null ? formatAge(Math.round(s.ageMs / 60000)) : '?')),
+    })),
+    spend: c.usage,
+    sessions: { windowDays: c.windowDays, items: c.workSessions.map(toJsonSession) },
+    lineage: { windowDays: c.windowDays, nodes: c.lineage },
+  };
+  if (c.trends) data.trends = c.trends;
+  if (c.alerts) data.alerts = c.alerts;
+  data.roster = c.roster;
+  return data;
+}
+
+module.exports = {
+  ACTIVE_MINUTES,
+  SESSION_WINDOW_DAYS,
+  normalizeCronJob,
+  collectDashboard,
+  timingReport,
+  collectSessionDetail,
+  linkedSessions,
+  toDashboardData,
+};
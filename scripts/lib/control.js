@@ -0,0 +1,168 @@
+/**
+ * control.js
+ * Operator actions for `--serve --control`: run a cron job now, pause or
+ * resume it, abort a subagent session. Each one calls the openclaw CLI
+ * (OPENCLAW_BIN; scripts/openclaw-stub.js answers for a fixture), and every
+ * attempt, refused ones included, is appended to a JSONL audit log.
+ *
+ *   GET  /api/control                       token check, lists the actions
+ *   POST /api/cron/<jobId>/run|pause|resume { "confirm": "<jobId>" }
+ *   POST /api/sessions/abort                { "agent", "key", "confirm": "<key>" }
+ *
+ * Requests need `Authorization: Bearer <token>`; the server prints a
+ * #control=<token> link at startup for index.html to pick up. `confirm` must
+ * repeat the target, so a stray or replayed request can't act on something
+ * else. Requests with a foreign Host or Origin are refused, which keeps other
+ * web pages from driving the API through the browser.
+ */
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const CLI_TIMEOUT_MS = 30000;
+const MAX_BODY = 16 * 1024;
+
+// Action -> openclaw arguments for its target
+const ACTIONS = {
+  run: id => ['cron', 'run', id],
+  pause: id => ['cron', 'disable', id],
+  resume: id => ['cron', 'enable', id],
+  abort: key => ['sessions', 'abort', key],
+};
+
+function createToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function sameToken(given, token) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) { reject(new Error('request body too large')); req.destroy(); }
+    });
+    req.on('end', () => {
+      try { resolve(body ? JSON.parse(body) : {}); } catch { reject(new Error('request body is not JSON')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// { ok, output } with the CLI's JSON reply, or { ok: false, error }
+function runCli(bin, cliArgs, env) {
+  return new Promise(resolve => {
+    execFile(bin, [...cliArgs, '--json'], { encoding: 'utf8', timeout: CLI_TIMEOUT_MS, env: { ...process.env, ...env } }, (err, stdout, stderr) => {
+      if (err) {
+        resolve({ ok: false, error: String(stderr || '').trim().split('\n')[0] || err.message });
+        return;
+      }
+      let output;
+      try { output = JSON.parse(stdout); } catch { output = stdout.trim(); }
+      resolve({ ok: true, output });
+    });
+  });
+}
+
+// Host must be the loopback address the server listens on, so a page that
+// rebinds its own name to 127.0.0.1 can't read or drive the server. Returns
+// the reason for refusing `req`, or null.
+function hostRefusal(req) {
+  const port = req.socket.localPort;
+  const host = req.headers.host || '';
+  return [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`].includes(host) ? null : `unexpected Host "${host}"`;
+}
+
+// ── Handler ──────────────────────────────────────────────────────────────────
+
+// `getData()` returns the latest dashboard-data.json the server holds; jobs
+// are looked up there. `env` is added to the CLI's environment.
+// `onAction(summary)` runs after a successful action, e.g. to refresh the
+// dashboard.
+function createControl({ source, getData, token = createToken(), auditFile, bin = process.env.OPENCLAW_BIN || 'openclaw', env = {}, onAction = () => {} }) {
+  fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+
+  function audit(req, entry) {
+    const line = { at: new Date().toISOString(), remote: req.socket.remoteAddress || null, ...entry };
+    fs.appendFileSync(auditFile, JSON.stringify(line) + '\n');
+  }
+
+  // A browser always sends Origin on cross-site POSTs, so it has to match
+  // Host when present.
+  function refusal(req) {
+    const badHost = hostRefusal(req);
+    if (badHost) return [403, badHost];
+    const host = req.headers.host;
+    if (req.headers.origin && req.headers.origin !== `http://${host}`) return [403, `unexpected Origin "${req.headers.origin}"`];
+    const auth = (req.headers.authorization || '').match(/^Bearer (\S+)$/);
+    if (!auth || !sameToken(auth[1], token)) return [401, 'missing or wrong control token'];
+    return null;
+  }
+
+  // { action, target, agent, label } for a request, or { status, error } when
+  // it names nothing we know
+  function lookup(pathname, body) {
+    const cron = pathname.match(/^\/api\/cron\/([\w-]+)\/(run|pause|resume)$/);
+    if (cron) {
+      const job = (getData().cronJobs || []).find(j => (j.jobId || j.id) === cron[1] || j.id === cron[1]);
+      if (!job) return { status: 404, error: `unknown cron job "${cron[1]}"` };
+      return { action: cron[2], target: job.jobId || job.id, agent: job.agent, label: job.name };
+    }
+    if (pathname === '/api/sessions/abort') {
+      const { agent, key } = body;
+      if (typeof agent !== 'string' || typeof key !== 'string') return { status: 400, error: 'agent and key are required' };
+      if (!key.includes(':subagent:')) return { status: 400, error: 'only subagent sessions can be aborted' };
+      const meta = (getData().roster?.agents || []).some(a => a.name === agent) ? source.readAgentSessions(agent)[key] : null;
+      if (!meta) return { status: 404, error: `unknown session "${key}"` };
+      return { action: 'abort', target: key, agent, label: meta.label || key };
+    }
+    return { status: 404, error: 'no such action' };
+  }
+
+  // Every refusal is audited along with the performed actions
+  function refuse(req, res, status, error, entry) {
+    audit(req, { ...entry, ok: false, status, error });
+    sendJson(res, status, { ok: false, error });
+  }
+
+  async function handle(req, res, pathname) {
+    const unknown = { action: null, path: pathname };
+    const refused = refusal(req);
+    if (refused) return refuse(req, res, refused[0], refused[1], unknown);
+    if (req.method === 'GET' && pathname === '/api/control') return sendJson(res, 200, { ok: true, actions: Object.keys(ACTIONS) });
+    if (req.method !== 'POST') return refuse(req, res, 405, 'POST only', unknown);
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (e) {
+      return refuse(req, res, 400, e.message, unknown);
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) return refuse(req, res, 400, 'request body must be a JSON object', unknown);
+    const r = lookup(pathname, body);
+    if (r.error) return refuse(req, res, r.status, r.error, unknown);
+    const entry = { action: r.action, target: r.target, agent: r.agent, label: r.label };
+    if (body.confirm !== r.target) return refuse(req, res, 409, `confirm must repeat the target "${r.target}"`, entry);
+
+    const result = await runCli(bin, ACTIONS[r.action](r.target), env);
+    if (!result.ok) return refuse(req, res, 502, result.error, entry);
+    audit(req, { ...entry, ok: true, status: 200, output: result.output });
+    onAction(`${r.action} ${r.label}`);
+    sendJson(res, 200, { ok: true, action: r.action, target: r.target, output: result.output });
+  }
+
+  return { token, auditFile, handle };
+}
+
+module.exports = { ACTIONS, createControl, hostRefusal };
@@ -0,0 +1,284 @@
+/**
+ * cron.js
+ * Cron job health. Parses the schedule formats found in cron/jobs.json and
+ * `openclaw cron list` output, computes next and last expected runs, and
+ * correlates `agent:<agent>:cron:<jobId>:run:<sessionId>` sessions back to
+ * their job for run history, durations and ok/error status.
+ *
+ * Schedules may be objects ({kind:'cron',expr,tz}, {kind:'every',everyMs},
+ * {kind:'at',at}) or the strings the CLI prints for them:
+ *   "*\/15 4-21 * * * (America/Chicago)", "Every 2h", '{"kind":"at",...}'
+ */
+const { TZ } = require('./format');
+const { sessionState } = require('./transcript');
+
+const MINUTE_MS = 60000;
+const DAY_MS = 86400000;
+const RUN_HISTORY = 10;
+// A run may start this late after its slot before the job counts as overdue.
+const GRACE_MS = 10 * MINUTE_MS;
+
+// ── Schedules ────────────────────────────────────────────────────────────────
+
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+function parseField(text, { min, max, names }) {
+  const value = v => {
+    const i = names ? names.indexOf(v.toLowerCase()) : -1;
+    const n = i !== -1 ? i + (min === 1 ? 1 : 0) : Number(v);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`bad value "${v}"`);
+    return n;
+  };
+  const out = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`bad step "${part}"`);
+    let lo, hi;
+    if (range === '*') [lo, hi] = [min, max];
+    else if (range.includes('-')) [lo, hi] = range.split('-').map(value);
+    else [lo, hi] = [value(range), stepText === undefined ? value(range) : max];
+    for (let n = lo; n <= hi; n += step) out.add(n);
+  }
+  return out;
+}
+
+// Five-field expression -> { minutes, hours, days, months, weekdays } sets.
+function parseCronExpr(expr) {
+  const parts = (MACROS[expr.trim()] || expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`expected 5 fields in "${expr}"`);
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+  };
+}
+
+// Normalizes any supported schedule to { kind, expr, tz, everyMs, atMs };
+// returns null for anything unrecognised.
+function parseSchedule(schedule) {
+  if (!schedule) return null;
+  if (typeof schedule === 'string') {
+    const s = schedule.trim();
+    if (s.startsWith('{')) {
+      try { return parseSchedule(JSON.parse(s)); } catch { return null; }
+    }
+    const every = s.match(/^every\s+(\d+(?:\.\d+)?)\s*(m|min|minutes?|h|hr|hours?|d|days?)$/i);
+    if (every) {
+      const unit = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: DAY_MS }[every[2][0].toLowerCase()];
+      return { kind: 'every', everyMs: Number(every[1]) * unit };
+    }
+    const withTz = s.match(/^(.+?)\s*\(([^)]+)\)$/);
+    const expr = withTz ? withTz[1] : s;
+    if (MACROS[expr] || expr.split(/\s+/).length === 5) return { kind: 'cron', expr, tz: withTz ? withTz[2] : TZ };
+    const atMs = Date.parse(s);
+    return Number.isFinite(atMs) ? { kind: 'at', atMs } : null;
+  }
+  if (schedule.kind === 'cron' && schedule.expr) return { kind: 'cron', expr: schedule.expr, tz: schedule.tz || TZ };
+  if (schedule.kind === 'every' && schedule.everyMs > 0) return { kind: 'every', everyMs: schedule.everyMs, anchorMs: schedule.anchorMs };
+  if (schedule.kind === 'at') {
+    const at = schedule.atMs ?? schedule.at;
+    const atMs = typeof at === 'number' ? at : Date.parse(at);
+    return Number.isFinite(atMs) ? { kind: 'at', atMs } : null;
+  }
+  return null;
+}
+
+// ── Time zones ───────────────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+function wallClock(ms, tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const p = {};
+  for (const { type, value } of formatters.get(tz).formatToParts(ms)) p[type] = Number(value);
+  return p;
+}
+
+// UTC ms for a wall-clock minute in `tz`. A time skipped by a DST jump runs
+// at the later of the two candidate offsets, like most cron daemons.
+function fromWallClock(y, mo, d, h, mi, tz) {
+  const wall = Date.UTC(y, mo - 1, d, h, mi);
+  const asWall = t => {
+    const p = wallClock(t, tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  };
+  const first = wall - (asWall(wall) - wall);
+  const second = wall - (asWall(first) - first);
+  if (asWall(first) === wall) return first;
+  if (asWall(second) === wall) return second;
+  return Math.max(first, second);
+}
+
+// First slot strictly after `fromMs` (dir 1) or at/before it (dir -1), or
+// null when nothing matches within a year.
+function cronSlot(fields, tz, fromMs, dir) {
+  const start = wallClock(fromMs, tz);
+  const minutes = dir > 0 ? fields.minutes : [...fields.minutes].reverse();
+  const hours = dir > 0 ? fields.hours : [...fields.hours].reverse();
+  for (let offset = 0; offset <= 366; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + dir * offset));
+    const y = date.getUTCFullYear(), mo = date.getUTCMonth() + 1, d = date.getUTCDate();
+    if (!fields.months.has(mo)) continue;
+    const domOk = fields.days.has(d), dowOk = fields.weekdays.has(date.getUTCDay());
+    if (fields.anyDay ? !(domOk || dowOk) : !(domOk && dowOk)) continue;
+    for (const h of hours) {
+      for (const mi of minutes) {
+        const t = fromWallClock(y, mo, d, h, mi, tz);
+        if (dir > 0 ? t > fromMs : t <= fromMs) return t;
+      }
+    }
+  }
+  return null;
+}
+
+// { next, prev } expected run times around `nowMs`; `lastRunAt` anchors
+// interval schedules.
+function expectedRuns(schedule, { nowMs, lastRunAt = null, createdAt = null }) {
+  if (schedule.kind === 'cron') {
+    const fields = parseCronExpr(schedule.expr);
+    return { next: cronSlot(fields, schedule.tz, nowMs, 1), prev: cronSlot(fields, schedule.tz, nowMs, -1) };
+  }
+  if (schedule.kind === 'every') {
+    const anchor = lastRunAt ?? schedule.anchorMs ?? createdAt;
+    if (anchor == null) return { next: null, prev: null };
+    const due = anchor + schedule.everyMs;
+    return due > nowMs ? { next: due, prev: lastRunAt } : { next: due, prev: due };
+  }
+  return schedule.atMs > nowMs ? { next: schedule.atMs, prev: null } : { next: null, prev: schedule.atMs };
+}
+
+// ── Run history ──────────────────────────────────────────────────────────────
+
+// A run's session state (see transcript.js) folded into ok, running (or
+// waiting on a tool) and error, which carries the reason.
+function runOutcome(parsed, updatedAt, nowMs) {
+  const { state, reason } = sessionState(parsed, nowMs, updatedAt);
+  if (state === 'completed') return { status: 'ok', error: null };
+  if (state === 'running' || state === 'waiting') return { status: 'running', error: null };
+  return { status: 'error', error: reason };
+}
+
+// jobId -> runs (newest first), from every agent's session store in `index`
+// (see session-index.js). Only the newest RUN_HISTORY runs per job have
+// their transcripts read.
+function collectCronRuns(index, { agentNames, nowMs }) {
+  const byJob = new Map();
+  for (const agentName of agentNames) {
+    const aliases = [];
+    for (const [key, meta] of Object.entries(index.store(agentName))) {
+      const m = key.match(/:cron:([^:]+)(:run:)?/);
+      if (!m || !meta.sessionId) continue;
+      // `agent:<a>:cron:<jobId>` points at the latest run; older stores have only that
+      if (!m[2]) { aliases.push([m[1], meta]); continue; }
+      if (!byJob.has(m[1])) byJob.set(m[1], []);
+      byJob.get(m[1]).push({ agent: agentName, meta });
+    }
+    for (const [jobId, meta] of aliases) {
+      if (!byJob.has(jobId)) byJob.set(jobId, [{ agent: agentName, meta }]);
+    }
+  }
+
+  const out = new Map();
+  for (const [jobId, runs] of byJob) {
+    runs.sort((a, b) => (b.meta.updatedAt || 0) - (a.meta.updatedAt || 0));
+    out.set(jobId, runs.slice(0, RUN_HISTORY).map(({ agent, meta }) => {
+      const updatedAt = meta.updatedAt || 0;
+      const summary = index.summary(agent, meta.sessionId);
+      if (summary === null) {
+        return { sessionId: meta.sessionId, agent, startedAt: null, endedAt: updatedAt, durationMs: null, status: 'unknown', error: null };
+      }
+      const endedAt = Math.max(summary.endedAt ?? 0, updatedAt) || null;
+      return {
+        sessionId: meta.sessionId,
+        agent,
+        startedAt: summary.startedAt,
+        endedAt,
+        durationMs: summary.startedAt != null && endedAt != null ? endedAt - summary.startedAt : null,
+        ...runOutcome(summary, updatedAt, nowMs),
+      };
+    }));
+  }
+  return out;
+}
+
+// ── Health ───────────────────────────────────────────────────────────────────
+
+// Health for one raw job given its runs (newest first). CLI-reported state
+// fills in when no run sessions survive in the session stores.
+function jobHealth(j, runs, nowMs) {
+  const enabled = j.enabled !== false;
+  const state = j.state || {};
+  const last = runs[0] || null;
+  const lastRunAt = last ? (last.startedAt ?? last.endedAt) : (state.lastRunAtMs ?? null);
+  const schedule = parseSchedule(j.schedule || j.cron);
+
+  let expected = { next: null, prev: null };
+  let scheduleError = null;
+  if (schedule) {
+    try {
+      expected = expectedRuns(schedule, { nowMs, lastRunAt, createdAt: j.createdAtMs ?? null });
+    } catch (e) {
+      scheduleError = e.message;
+    }
+  }
+
+  // Overdue: the latest slot that should have started by now has no run at
+  // or after it. Slots before the job existed don't count.
+  const slot = schedule?.kind === 'cron' && expected.prev !== null && nowMs - expected.prev < GRACE_MS
+    ? cronSlot(parseCronExpr(schedule.expr), schedule.tz, expected.prev - 1, -1)
+    : expected.prev;
+  const overdue = enabled && slot != null && nowMs - slot >= GRACE_MS
+    && (lastRunAt != null ? lastRunAt < slot - MINUTE_MS : j.createdAtMs != null && j.createdAtMs < slot)
+    && !(last && last.status === 'running');
+
+  return {
+    enabled,
+    schedule,
+    scheduleError,
+    nextRunAt: enabled ? (expected.next ?? state.nextRunAtMs ?? null) : null,
+    lastRunAt,
+    lastDurationMs: last ? last.durationMs : (state.lastDurationMs ?? null),
+    lastStatus: last ? last.status : state.lastStatus ? String(state.lastStatus).toLowerCase() : null,
+    lastError: last ? last.error : (state.lastError ?? null),
+    agent: last ? last.agent : null,
+    overdue,
+    overdueSince: overdue ? slot : null,
+    runs,
+  };
+}
+
+// jobId -> health for every job in `cronJobs`.
+function collectCronHealth(index, { agentNames, cronJobs, nowMs }) {
+  const runsByJob = collectCronRuns(index, { agentNames, nowMs });
+  return new Map(cronJobs.map(j => [j.id, jobHealth(j, runsByJob.get(j.id) || [], nowMs)]));
+}
+
+module.exports = { parseCronExpr, parseSchedule, expectedRuns, runOutcome, collectCronRuns, collectCronHealth };
@@ -0,0 +1,237 @@
+/**
+ * dashboard-schema.js
+ * Shape of dashboard-data.json as fetched by index.html, plus a validator.
+ * Bump SCHEMA_VERSION whenever a field is renamed, removed or changes type.
+ * New fields are added as optional so older snapshots keep validating.
+ */
+
+const SCHEMA_VERSION = 1;
+
+// ── Schema ───────────────────────────────────────────────────────────────────
+// Leaf values are type names ('string', 'number', 'boolean', joined with '|'
+// for unions, with a trailing '?' when the field may be absent; a key ending
+// in '?' marks an optional object or array). Arrays hold a single item schema.
+// Objects with a '*' key are maps whose every value must match that schema.
+
+// `status` is the session state from transcript.js (running, waiting,
+// completed, errored, aborted, stale) and `reason` explains it.
+const SESSION = {
+  agent: 'string',
+  task: 'string',
+  model: 'string',
+  isActive: 'boolean',
+  updatedAt: 'number',
+  ageMin: 'number',
+  key: 'string?',
+  sessionId: 'string?',
+  kind: 'string?',
+  status: 'string?',
+  reason: 'string|null?',
+  error: 'string|null?',
+  startedAt: 'number|null?',
+  endedAt: 'number|null?',
+};
+
+const TOTALS = {
+  input: 'number',
+  output: 'number',
+  cacheRead: 'number',
+  cacheWrite: 'number',
+  cost: 'number',
+};
+
+const SPEND = {
+  currency: 'string',
+  windowDays: 'number',
+  today: TOTALS,
+  week: TOTALS,
+  daily: [{ date: 'string', ...TOTALS }],
+  byAgent: { '*': TOTALS },
+  byModel: { '*': TOTALS },
+  byCronJob: { '*': TOTALS },
+  topConsumers: [{ kind: 'string', label: 'string', agent: 'string', model: 'string', ...TOTALS }],
+  unpricedModels: ['string'],
+};
+
+// `sessionId` is left out of public output (see redact.js).
+const CRON_RUN = {
+  sessionId: 'string?',
+  agent: 'string',
+  startedAt: 'number|null',
+  endedAt: 'number|null',
+  durationMs: 'number|null',
+  status: 'string',
+  error: 'string|null',
+};
+
+// Per-day arrays line up with `days`; concurrency points are [t, agents, sessions].
+const TRENDS = {
+  days: ['string'],
+  sessionsPerAgent: { '*': ['number'] },
+  cronRuns: { ok: ['number'], error: ['number'], running: ['number'] },
+  concurrency: [['number']],
+  snapshots: 'number',
+  since: 'number|null',
+};
+
+const ALERT = {
+  id: 'string',
+  rule: 'string',
+  severity: 'string',
+  title: 'string',
+  detail: 'string',
+  agent: 'string',
+  since: 'number',
+  jobId: 'string?',
+  sessionId: 'string?',
+};
+
+// Spawn tree, flattened: `parent` is the spawning session's key (see lineage.js).
+const LINEAGE_NODE = {
+  key: 'string',
+  agent: 'string',
+  kind: 'string',
+  label: 'string',
+  parent: 'string|null',
+  turn: 'string|null',
+  spawnedAt: 'number|null',
+  startedAt: 'number|null',
+  endedAt: 'number|null',
+  durationMs: 'number|null',
+  status: 'string|null',
+  reason: 'string|null?',
+  error: 'string|null',
+  sessionId: 'string?',
+};
+
+// roster.json as published; `docs` become links (see roster.js).
+const ROSTER_AGENT = {
+  name: 'string',
+  label: 'string',
+  title: 'string',
+  role: 'string',
+  description: 'string',
+  emoji: 'string',
+  avatar: 'string',
+  color: 'string',
+  model: 'string',
+  reportsTo: 'string|null',
+  workspace: 'string',
+  docs: [{ label: 'string', href: 'string' }],
+  rituals: [{
+    name: 'string',
+    icon: 'string?',
+    when: 'string',
+    at: 'string?',
+    detail: 'string?',
+    job: 'string?',
+    daily: 'boolean?',
+    critical: 'boolean?',
+  }],
+  onDemand: 'string?',
+  'programming?': [{ heading: 'string', text: 'string?', 'items?': ['string'], quote: 'string?' }],
+};
+
+const ROSTER = {
+  'leader?': { name: 'string', title: 'string', avatar: 'string' },
+  agents: [ROSTER_AGENT],
+};
+
+const SCHEMA = {
+  schemaVersion: 'number',
+  updatedAt: 'string',
+  updatedAtFormatted: 'string',
+  stats: {
+    cronJobs: 'number',
+    agentsWorking: 'number',
+    totalSessions: 'number',
+    agentCount: 'number',
+  },
+  cronJobs: [{
+    id: 'string',
+    name: 'string',
+    schedule: 'string',
+    agent: 'string',
+    status: 'string',
+    next: 'string',
+    last: 'string',
+    jobId: 'string?',
+    enabled: 'boolean?',
+    overdue: 'boolean?',
+    nextRunAt: 'number|null?',
+    lastRunAt: 'number|null?',
+    lastDurationMs: 'number|null?',
+    lastError: 'string|null?',
+    'runs?': [CRON_RUN],
+  }],
+  recentSessions: [SESSION],
+  agentTasks: { '*': [SESSION] },
+  activeSessions: [{
+    key: 'string',
+    model: 'string',
+    tokens: 'string|number',
+    age: 'string',
+  }],
+  'spend?': SPEND,
+  'sessions?': { windowDays: 'number', items: [SESSION] },
+  'lineage?': { windowDays: 'number', nodes: [LINEAGE_NODE] },
+  'trends?': TRENDS,
+  'alerts?': [ALERT],
+  'roster?': ROSTER,
+};
+
+// ── Validator ────────────────────────────────────────────────────────────────
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+function check(value, schema, at, errors) {
+  if (typeof schema === 'string') {
+    const types = schema.replace(/\?$/, '');
+    if (!types.split('|').includes(typeOf(value))) {
+      errors.push(`${at}: expected ${types}, got ${typeOf(value)}`);
+    }
+    return;
+  }
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) { errors.push(`${at}: expected array, got ${typeOf(value)}`); return; }
+    value.forEach((item, i) => check(item, schema[0], `${at}[${i}]`, errors));
+    return;
+  }
+  if (typeOf(value) !== 'object') { errors.push(`${at}: expected object, got ${typeOf(value)}`); return; }
+  if (schema['*']) {
+    for (const [k, v] of Object.entries(value)) check(v, schema['*'], `${at}.${k}`, errors);
+    return;
+  }
+  for (const [rawKey, sub] of Object.entries(schema)) {
+    const k = rawKey.replace(/\?$/, '');
+    if (!(k in value)) {
+      const optional = rawKey.endsWith('?') || (typeof sub === 'string' && sub.endsWith('?'));
+      if (!optional) errors.push(`${at}.${k}: missing`);
+      continue;
+    }
+    check(value[k], sub, `${at}.${k}`, errors);
+  }
+}
+
+// Checks any value against a schema written in the notation above.
+function checkSchema(value, schema, at = '$') {
+  const errors = [];
+  check(value, schema, at, errors);
+  return errors;
+}
+
+// Returns a list of human-readable problems; empty means valid.
+function validateDashboardData(data) {
+  const errors = [];
+  check(data, SCHEMA, '$', errors);
+  if (typeOf(data) === 'object' && typeof data.schemaVersion === 'number' && data.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`$.schemaVersion: expected ${SCHEMA_VERSION}, got ${data.schemaVersion}`);
+  }
+  return errors;
+}
+
+module.exports = { SCHEMA_VERSION, SCHEMA, ROSTER, checkSchema, validateDashboardData };
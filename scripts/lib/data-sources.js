@@ -0,0 +1,240 @@
+/**
+ * data-sources.js
+ * Where the generator gets its data. Every backend exposes the same methods,
+ * so nothing else calls openclaw or reads ~/.openclaw directly:
+ *
+ *   cli      openclaw CLI for cron and session lists, ~/.openclaw for the rest
+ *   disk     ~/.openclaw only (cron/jobs.json plus every agent's sessions.json)
+ *   fixture  a recorded directory, for machines without OpenClaw and replays
+ *
+ * A fixture directory mirrors ~/.openclaw, plus optional extras:
+ *   meta.json                  { "capturedAt": "<ISO>" } — replay "now"
+ *   cli/cron-list.json         recorded `openclaw cron list --json`
+ *   cli/sessions.json          recorded `openclaw sessions --json`
+ *   cli/sessions-active.json   recorded `openclaw sessions --active 60 --json`
+ *   agents/<name>/sessions/sessions.json and <sessionId>.jsonl
+ *   cron/jobs.json
+ *   workspace/...              roster docs (SOUL.md etc.) for the static export
+ *
+ * OPENCLAW_STATE_DIR overrides ~/.openclaw and OPENCLAW_BIN the openclaw
+ * binary (scripts/openclaw-stub.js answers from a fixture). The list methods
+ * return promises so CLI calls can run side by side; file reads stay
+ * synchronous. Failures never throw; they are collected in `source.warnings`.
+ */
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const OPENCLAW_DIR = process.env.OPENCLAW_STATE_DIR || path.join(process.env.HOME, '.openclaw');
+const SOURCE_KINDS = ['cli', 'disk', 'fixture'];
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+// The CLI returns either a bare array or an object wrapping one.
+function unwrapList(parsed, key) {
+  return Array.isArray(parsed) ? parsed : (parsed && parsed[key]) || [];
+}
+
+function readJson(file, warnings) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') warnings.push(`${file}: ${e.message}`);
+    return null;
+  }
+}
+
+function firstLine(e) {
+  const msg = (e.stderr && String(e.stderr).trim()) || e.message || String(e);
+  return msg.split('\n')[0];
+}
+
+// ── Backends ─────────────────────────────────────────────────────────────────
+
+function createDiskSource({ root = OPENCLAW_DIR, now = () => Date.now(), warnings = [] } = {}) {
+  const sessionsDir = agentName => path.join(root, 'agents', agentName, 'sessions');
+  const transcriptPath = (agentName, sessionId) => path.join(sessionsDir(agentName), `${sessionId}.jsonl`);
+
+  function readAgentSessions(agentName) {
+    return readJson(path.join(sessionsDir(agentName), 'sessions.json'), warnings) || {};
+  }
+
+  function statFile(file) {
+    try {
+      const st = fs.statSync(file);
+      return { size: st.size, mtimeMs: st.mtimeMs };
+    } catch { return null; }
+  }
+
+  function listAgentNames() {
+    try {
+      return fs.readdirSync(path.join(root, 'agents')).filter(n => !n.startsWith('.'));
+    } catch { return []; }
+  }
+
+  return {
+    kind: 'disk',
+    root,
+    warnings,
+    now,
+    readAgentSessions,
+    transcriptPath,
+
+    readTranscript(agentName, sessionId) {
+      try {
+        return fs.readFileSync(transcriptPath(agentName, sessionId), 'utf8');
+      } catch { return null; }
+    },
+
+    // { size, mtimeMs } for sessions.json (no sessionId) or a transcript, or null
+    statSessionFile: (agentName, sessionId = null) =>
+      statFile(sessionId ? transcriptPath(agentName, sessionId) : path.join(sessionsDir(agentName), 'sessions.json')),
+
+    // Up to `length` bytes of a transcript from byte `start` (fewer at its
+    // end), so long transcripts can be read in pieces; null when unreadable.
+    readTranscriptBytes(agentName, sessionId, start, length) {
+      let fd;
+      try {
+        fd = fs.openSync(transcriptPath(agentName, sessionId), 'r');
+        const buf = Buffer.alloc(length);
+        return buf.subarray(0, fs.readSync(fd, buf, 0, length, start));
+      } catch {
+        return null;
+      } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+      }
+    },
+
+    // `rel` is relative to <root>/workspace; callers keep it inside (see roster.js).
+    readWorkspaceFile(rel) {
+      try {
+        return fs.readFileSync(path.join(root, 'workspace', rel), 'utf8');
+      } catch { return null; }
+    },
+
+    async listCronJobs() {
+      return unwrapList(readJson(path.join(root, 'cron', 'jobs.json'), warnings), 'jobs');
+    },
+
+    // Same shape as `openclaw sessions --json`, flattened across agents.
+    async listSessions({ activeMinutes } = {}) {
+      const out = [];
+      for (const agentName of listAgentNames()) {
+        for (const [key, meta] of Object.entries(readAgentSessions(agentName))) {
+          const ageMs = now() - (meta.updatedAt || 0);
+          if (activeMinutes && ageMs > activeMinutes * 60000) continue;
+          out.push({ key, agent: agentName, ...meta, ageMs });
+        }
+      }
+      return out.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    },
+  };
+}
+
+function createCliSource({ root = OPENCLAW_DIR, bin = process.env.OPENCLAW_BIN || 'openclaw' } = {}) {
+  const source = createDiskSource({ root });
+
+  function runJson(cliArgs, key) {
+    return new Promise(resolve => {
+      execFile(bin, [...cliArgs, '--json'], { encoding: 'utf8', timeout: 15000 }, (err, stdout, stderr) => {
+        try {
+          if (!err) return resolve(unwrapList(JSON.parse(stdout), key));
+          err.stderr = stderr;
+        } catch (e) {
+          err = e;
+        }
+        source.warnings.push(`${bin} ${cliArgs.join(' ')}: ${firstLine(err)}`);
+        resolve([]);
+      });
+    });
+  }
+
+  return {
+    ...source,
+    kind: 'cli',
+    bin,
+    listCronJobs: () => runJson(['cron', 'list'], 'jobs'),
+    listSessions: ({ activeMinutes } = {}) => runJson(
+      activeMinutes ? ['sessions', '--active', String(activeMinutes)] : ['sessions'],
+      'sessions'),
+  };
+}
+
+function createFixtureSource({ dir }) {
+  const warnings = [];
+  const meta = readJson(path.join(dir, 'meta.json'), warnings) || {};
+  const capturedAt = Date.parse(meta.capturedAt);
+  const now = () => (Number.isFinite(capturedAt) ? capturedAt : Date.now());
+  const source = createDiskSource({ root: dir, now, warnings });
+
+  // Prefer recorded CLI output, fall back to deriving it from the tree.
+  function recorded(name, key) {
+    const parsed = readJson(path.join(dir, 'cli', name), warnings);
+    return parsed === null ? null : unwrapList(parsed, key);
+  }
+
+  return {
+    ...source,
+    kind: 'fixture',
+    listCronJobs: async () => recorded('cron-list.json', 'jobs') || source.listCronJobs(),
+    listSessions: async ({ activeMinutes } = {}) =>
+      recorded(activeMinutes ? 'sessions-active.json' : 'sessions.json', 'sessions')
+      || source.listSessions({ activeMinutes }),
+  };
+}
+
+function createDataSource(kind, opts = {}) {
+  switch (kind) {
+    case 'cli': return createCliSource(opts);
+    case 'disk': return createDiskSource(opts);
+    case 'fixture':
+      if (!opts.dir) throw new Error('fixture source needs a directory (--fixture <dir>)');
+      return createFixtureSource(opts);
+    default:
+      throw new Error(`unknown data source "${kind}" (expected ${SOURCE_KINDS.join(', ')})`);
+  }
+}
+
+// ── Recording ────────────────────────────────────────────────────────────────
+
+// Captures what `source` currently returns into a fixture directory. Only
+// transcripts touched within `windowMin` are copied to keep captures small;
+// `workspaceFiles` (paths under workspace/) are copied when they exist.
+async function recordFixture(source, dir, { agentNames, activeMinutes, windowMin = 1440, workspaceFiles = [] }) {
+  const now = source.now();
+  const write = (rel, data) => {
+    const file = path.join(dir, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data, null, 2) + '\n');
+  };
+
+  const [jobs, all, active] = await Promise.all([
+    source.listCronJobs(),
+    source.listSessions({}),
+    source.listSessions({ activeMinutes }),
+  ]);
+  write('meta.json', { capturedAt: new Date(now).toISOString(), source: source.kind });
+  write('cli/cron-list.json', { jobs });
+  write('cli/sessions.json', { sessions: all });
+  write('cli/sessions-active.json', { sessions: active });
+
+  let transcripts = 0;
+  for (const agentName of agentNames) {
+    const sessions = source.readAgentSessions(agentName);
+    write(`agents/${agentName}/sessions/sessions.json`, sessions);
+    for (const meta of Object.values(sessions)) {
+      if (!meta.sessionId || now - (meta.updatedAt || 0) > windowMin * 60000) continue;
+      const raw = source.readTranscript(agentName, meta.sessionId);
+      if (raw === null) continue;
+      write(`agents/${agentName}/sessions/${meta.sessionId}.jsonl`, raw);
+      transcripts++;
+    }
+  }
+  for (const rel of workspaceFiles) {
+    const text = source.readWorkspaceFile(rel);
+    if (text !== null) write(path.join('workspace', rel), text);
+  }
+  return { transcripts };
+}
+
+module.exports = { SOURCE_KINDS, OPENCLAW_DIR, createDataSource, recordFixture };
@@ -0,0 +1,271 @@
+/**
+ * export.js
+ * `--export <dir>`: the dashboard as a self-contained static site that works
+ * from file:// and on any static host, with no fetches and no live data.
+ *
+ *   index.html                          overview (the agent-dashboard.html page)
+ *   agents/<name>.html                  profile, tasks, rituals and the agent's
+ *                                       workspace docs rendered from Markdown
+ *   sessions/<agent>/<sessionId>.html   transcript of every linked session
+ *   assets/<name>.<hash>.<ext>          avatars and site.css, named by content
+ *
+ * Every link is relative. Avatars that are URLs (or missing) become initials
+ * so the bundle works offline. The site holds full transcripts and workspace
+ * docs; publish it only where those may be read.
+ *
+ * Each export replaces the directory. A non-empty directory without the
+ * .dashboard-export marker an earlier export left is never touched.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { escHtml, fmtWhen, formatDuration } = require('./format');
+const { collectSessionDetail, linkedSessions } = require('./collect');
+const { renderMarkdown } = require('./markdown');
+const { STATES, agentBadge, programming, renderAgentDashboard, scheduledTasks, taskAudit } = require('./render-html');
+const { loadTemplate, renderTemplate } = require('./template');
+const { sessionState } = require('./transcript');
+
+const MARKER = '.dashboard-export';
+
+// ── Assets ───────────────────────────────────────────────────────────────────
+
+// Adds `contents` under a content-hashed name; returns its site-relative path.
+function addAsset(files, name, ext, contents) {
+  const hash = crypto.createHash('sha256').update(contents).digest('hex').slice(0, 10);
+  const rel = `assets/${name}.${hash}.${ext}`;
+  files.set(rel, contents);
+  return rel;
+}
+
+function initialsSvg(label, color) {
+  const initials = label.split(/\s+/).filter(Boolean).map(w => w[0]).join('').slice(0, 2).toUpperCase();
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">
+<rect width="256" height="256" fill="${escHtml(color)}"/>
+<text x="128" y="128" dy="0.35em" text-anchor="middle" font-family="-apple-system, 'Segoe UI', sans-serif" font-size="104" font-weight="700" fill="#fff">${escHtml(initials)}</text>
+</svg>
+`;
+}
+
+// Local avatar file (relative to `assetRoot`) as a hashed asset, else initials
+function avatarAsset(files, { name, label, avatar, color }, assetRoot, warnings) {
+  if (avatar && !/^[a-z][\w+.-]*:/i.test(avatar)) {
+    const file = path.resolve(assetRoot, avatar);
+    try {
+      const ext = path.extname(file).slice(1).toLowerCase() || 'png';
+      return addAsset(files, path.basename(file, path.extname(file)), ext, fs.readFileSync(file));
+    } catch (e) {
+      warnings.push(`export: avatar ${file}: ${e.code || e.message}`);
+    }
+  }
+  return addAsset(files, `${name}-initials`, 'svg', initialsSvg(label, color));
+}
+
+// ── Pages ────────────────────────────────────────────────────────────────────
+
+const agentPage = name => `agents/${name}.html`;
+const sessionPage = (agentName, sessionId) => `sessions/${agentName}/${sessionId}.html`;
+const docId = doc => 'doc-' + doc.replace(/[^\w.-]/g, '-');
+
+// Prefix that leads from a page back to the site root
+function baseOf(rel) {
+  return '../'.repeat(rel.split('/').length - 1);
+}
+
+function nav(site, rel, current = null) {
+  const base = baseOf(rel);
+  const link = (href, text, isCurrent) => `<a href="${base}${href}"${isCurrent ? ' class="current"' : ''}>${escHtml(text)}</a>`;
+  return [
+    link('index.html', '🏠 Overview', false),
+    ...site.agents.map(a => link(agentPage(a.name), `${a.emoji} ${a.label}`, a.name === current)),
+  ].join('\n');
+}
+
+function page(site, rel, { title, current, main }) {
+  return renderTemplate(loadTemplate('site-page.html'), {
+    title,
+    css: baseOf(rel) + site.css,
+    nav: nav(site, rel, current),
+    main,
+    exportedAt: fmtWhen(site.nowMs, site.nowMs),
+  });
+}
+
+// Bodies are not re-indented, and {{{main}}} sits at column 0 in
+// site-page.html: indenting would shift the text inside <pre>.
+function card(heading, body, { cls = 'card', id = null } = {}) {
+  return `<section class="${cls}"${id ? ` id="${escHtml(id)}"` : ''}>\n  <h2>${heading}</h2>\n${body}\n</section>`;
+}
+
+function agentProfile(site, agent) {
+  const base = baseOf(agentPage(agent.name));
+  const [badge, badgeText] = agentBadge(site.c.perAgentTasks[agent.name] || []);
+  const agentLink = a => `<a href="${base}${agentPage(a.name)}">${escHtml(a.emoji)} ${escHtml(a.label)}</a>`;
+  const boss = site.agents.find(a => a.name === agent.reportsTo);
+  const team = site.agents.filter(a => a.reportsTo === agent.name);
+  return `<section class="card">
+  <div class="agent-header">
+    <img src="${escHtml(base + agent.avatar)}" alt="${escHtml(agent.label)}" class="agent-avatar">
+    <div>
+      <h1>${escHtml(agent.emoji)} ${escHtml(agent.label)}</h1>
+      <div class="muted">${escHtml(agent.title)} · ${escHtml(agent.role)} · ${escHtml(agent.name)}</div>
+    </div>
+  </div>
+  <span class="status-badge ${badge}">● ${badgeText}</span>
+  <p>${escHtml(agent.description)}</p>
+  <p class="muted">Model ${escHtml(agent.model)} · ${boss ? `Reports to ${agentLink(boss)}` : 'Coordinator'}${team.length ? ` · Team: ${team.map(agentLink).join(', ')}` : ''}</p>
+</section>`;
+}
+
+// Workspace docs rendered in place; missing ones say so instead of linking nowhere
+function agentDocs(source, agent, rosterAgent) {
+  return rosterAgent.docs.map(doc => {
+    const text = source.readWorkspaceFile(path.join(rosterAgent.workspace, doc));
+    if (text === null) source.warnings.push(`export: ${agent.name} ${path.join(rosterAgent.workspace, doc) || doc} not found in the workspace`);
+    const body = text === null ? '<p class="empty">Not found in the workspace at export time</p>' : renderMarkdown(text);
+    return card(`📄 ${escHtml(doc)}`, body, { cls: 'card doc', id: docId(doc) });
+  });
+}
+
+function renderAgentPage(site, source, agent, rosterAgent) {
+  const rel = agentPage(agent.name);
+  const href = (agentName, sessionId) => (site.sessions.has(`${agentName}/${sessionId}`) ? baseOf(rel) + sessionPage(agentName, sessionId) : null);
+  const tasks = site.c.perAgentTasks[agent.name] || [];
+  const earlier = site.c.workSessions.filter(s => s.agentName === agent.name && s.ageMin > 1440);
+  const sections = [
+    agentProfile(site, agent),
+    card(`Task Audit (Last 24h) · ${tasks.length}`, taskAudit(tasks, href)),
+    earlier.length ? card(`Earlier Sessions (Last ${site.c.windowDays}d) · ${earlier.length}`, taskAudit(earlier, href)) : null,
+    card('Scheduled Tasks', scheduledTasks(agent)),
+    agent.programming?.length ? card('Programming', programming(agent.programming)) : null,
+    ...agentDocs(source, agent, rosterAgent),
+  ];
+  return page(site, rel, {
+    title: `${agent.label} (${agent.title})`,
+    current: agent.name,
+    main: sections.filter(Boolean).join('\n\n'),
+  });
+}
+
+// ── Session pages ────────────────────────────────────────────────────────────
+// Same layout as the session drill-down in index.html, without the collapsing.
+
+function textBlock(text, truncated) {
+  return `<pre>${escHtml(text + (truncated ? `\n… clipped, ${truncated} chars in full` : ''))}</pre>`;
+}
+
+function toolCall(p, when) {
+  const r = p.result;
+  const result = !r ? '<div class="muted">⏳ no result yet</div>'
+    : `<div class="muted${r.isError ? ' tool-error' : ''}">${r.isError ? '✗ error' : '↳ result'} · ${when(r.ts)}</div>\n${textBlock(r.text, r.truncated)}`;
+  return `<details${r && r.isError ? ' open' : ''}>
+  <summary>🔧 ${escHtml(p.name)}${r && r.isError ? ' · <span class="tool-error">failed</span>' : ''}</summary>
+  ${textBlock(p.args.text, p.args.truncated)}
+  ${result}
+</details>`;
+}
+
+function transcriptEntry(e, when) {
+  const head = (label, extra = '') => `<div class="entry-head"><strong>${label}</strong>${extra} · ${when(e.ts)}</div>`;
+  switch (e.kind) {
+    case 'session':
+      return `<div class="entry muted">Session started${e.cwd ? ' in ' + escHtml(e.cwd) : ''} · ${when(e.ts)}</div>`;
+    case 'model_change':
+      return `<div class="entry muted">Model → ${escHtml(e.model)} · ${when(e.ts)}</div>`;
+    case 'user':
+      return `<div class="entry entry-user">\n${head('👤 User')}\n${textBlock(e.text, e.truncated)}\n</div>`;
+    case 'assistant': {
+      const parts = e.parts.map(p => (p.type === 'toolCall' ? toolCall(p, when)
+        : p.type === 'thinking' ? `<details>\n  <summary>💭 Thinking</summary>\n  ${textBlock(p.text, p.truncated)}\n</details>`
+        : textBlock(p.text, p.truncated)));
+      if (e.error) parts.push(`<div class="tool-error">⚠️ ${escHtml(e.error)}</div>`);
+      const cls = e.stopReason === 'error' || e.stopReason === 'aborted' ? 'entry-error' : 'entry-assistant';
+      const extra = (e.model ? ' ' + escHtml(e.model) : '') + (e.stopReason ? ' · ' + escHtml(e.stopReason) : '');
+      return `<div class="entry ${cls}">\n${head('🤖 Assistant', extra)}\n${parts.join('\n')}\n</div>`;
+    }
+    case 'tool_result':
+      return `<div class="entry${e.isError ? ' entry-error' : ''}">\n${head(`↳ ${escHtml(e.name)}`)}\n${textBlock(e.text, e.truncated)}\n</div>`;
+    default:
+      return `<div class="entry muted">${escHtml(e.label)}${e.text ? ': ' + escHtml(e.text) : ''} · ${when(e.ts)}</div>`;
+  }
+}
+
+function renderSessionPage(site, d) {
+  const rel = sessionPage(d.agent, d.sessionId);
+  const agent = site.agents.find(a => a.name === d.agent);
+  const when = ts => (ts ? fmtWhen(ts, site.nowMs) : '?');
+  const { state, reason } = sessionState(d, site.nowMs, d.updatedAt);
+  const info = STATES[state];
+  const span = d.startedAt && d.endedAt ? `${when(d.startedAt)} → ${when(d.endedAt)} · ${formatDuration(d.endedAt - d.startedAt)}` : 'no timestamps';
+  const who = agent ? `<a href="${baseOf(rel)}${agentPage(agent.name)}">${escHtml(agent.emoji)} ${escHtml(agent.label)}</a>` : escHtml(d.agent);
+  const main = `<section class="card">
+  <h2>${escHtml(d.label || 'Session')}</h2>
+  <div class="muted">${who} · <code>${escHtml(d.key || d.sessionId)}</code>${d.model ? ' · ' + escHtml(d.model) : ''}</div>
+  <div class="muted">${span} · ${d.entries.length} entries${d.badLines ? ` · ${d.badLines} unreadable lines` : ''}</div>
+  <p style="color:${info.color};margin-top:8px;">${info.icon} ${info.label} · ${escHtml(reason)}</p>
+</section>
+
+${card('Transcript', d.entries.map(e => transcriptEntry(e, when)).join('\n'))}`;
+  return page(site, rel, { title: `${agent ? agent.label : d.agent} · ${d.label || d.sessionId}`, current: d.agent, main });
+}
+
+// ── Writing ──────────────────────────────────────────────────────────────────
+
+// Builds next to `dir` and swaps it in, so a failed export leaves the last one.
+function replaceDir(dir, files) {
+  if (fs.existsSync(dir) && fs.readdirSync(dir).length > 0 && !fs.existsSync(path.join(dir, MARKER))) {
+    throw new Error(`${dir} is not empty and was not made by --export; pick an empty or new directory`);
+  }
+  const tmp = `${dir}.tmp-export`;
+  const old = `${dir}.old-export`;
+  fs.rmSync(tmp, { recursive: true, force: true });
+  for (const [rel, contents] of files) {
+    fs.mkdirSync(path.dirname(path.join(tmp, rel)), { recursive: true });
+    fs.writeFileSync(path.join(tmp, rel), contents);
+  }
+  fs.rmSync(old, { recursive: true, force: true });
+  if (fs.existsSync(dir)) fs.renameSync(dir, old);
+  fs.renameSync(tmp, dir);
+  fs.rmSync(old, { recursive: true, force: true });
+}
+
+// `c` is collected dashboard data (see collect.js) and `roster` the loaded
+// roster.json, whose avatars are relative to `assetRoot`. Workspace docs are
+// left out unless `docs`. Returns counts.
+function exportSite(dir, c, source, { roster, assetRoot, docs = true }) {
+  const files = new Map();  // site-relative path -> contents
+  const site = { c, nowMs: c.nowMs, sessions: new Map() };
+  site.css = addAsset(files, 'site', 'css', loadTemplate('site.css').source);
+
+  // Same roster as the live page, with local assets and links to agent pages
+  site.agents = c.roster.agents.map(a => ({
+    ...a,
+    avatar: avatarAsset(files, a, assetRoot, source.warnings),
+    docs: a.docs.map(d => ({ label: d.label, href: `${agentPage(a.name)}#${docId(d.label)}` })),
+  }));
+  const leader = c.roster.leader && {
+    ...c.roster.leader,
+    avatar: avatarAsset(files, { name: 'leader', label: c.roster.leader.name, avatar: c.roster.leader.avatar, color: '#dc2127' }, assetRoot, source.warnings),
+  };
+
+  for (const [agentName, sessionId] of linkedSessions(c)) {
+    const detail = collectSessionDetail(source, agentName, sessionId);
+    if (detail) site.sessions.set(`${agentName}/${sessionId}`, detail);
+  }
+  for (const d of site.sessions.values()) files.set(sessionPage(d.agent, d.sessionId), renderSessionPage(site, d));
+
+  for (const agent of site.agents) {
+    const rosterAgent = roster.agents.find(a => a.name === agent.name);
+    files.set(agentPage(agent.name), renderAgentPage(site, source, agent, docs ? rosterAgent : { ...rosterAgent, docs: [] }));
+  }
+
+  files.set('index.html', renderAgentDashboard({ ...c, roster: { ...(leader ? { leader } : {}), agents: site.agents } }, {
+    sessionHref: (agentName, sessionId) => (site.sessions.has(`${agentName}/${sessionId}`) ? sessionPage(agentName, sessionId) : null),
+  }));
+  files.set(MARKER, JSON.stringify({ exportedAt: new Date(c.nowMs).toISOString() }) + '\n');
+
+  replaceDir(dir, files);
+  return { agents: site.agents.length, sessions: site.sessions.size, assets: [...files.keys()].filter(f => f.startsWith('assets/')).length };
+}
+
+module.exports = { exportSite };
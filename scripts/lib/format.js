@@ -0,0 +1,56 @@
+/**
+ * format.js
+ * Small formatting helpers shared by the HTML and JSON outputs.
+ */
+
+const TZ = 'America/Chicago';
+
+function escHtml(s) {
+  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+}
+
+function fmtTime(ms) {
+  return new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: TZ }) + ' CST';
+}
+
+function formatAge(min) {
+  if (min < 1) return 'just now';
+  if (min < 60) return `${min}m ago`;
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  return m > 0 ? `${h}h ${m}m ago` : `${h}h ago`;
+}
+
+// "4:00 AM" today, "Tue 4:00 AM" within a week, "Mar 3, 4:00 AM" beyond that.
+function fmtWhen(ms, nowMs) {
+  const day = t => new Date(t).toLocaleDateString('en-CA', { timeZone: TZ });
+  const time = new Date(ms).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TZ });
+  if (day(ms) === day(nowMs)) return time;
+  const opts = Math.abs(ms - nowMs) < 6 * 86400000 ? { weekday: 'short' } : { month: 'short', day: 'numeric' };
+  return new Date(ms).toLocaleDateString('en-US', { ...opts, timeZone: TZ }) + (opts.weekday ? ' ' : ', ') + time;
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return s % 60 ? `${m}m ${s % 60}s` : `${m}m`;
+  return m % 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${Math.floor(m / 60)}h`;
+}
+
+function formatSchedule(schedule) {
+  if (!schedule) return '?';
+  if (typeof schedule === 'string') return schedule;
+  if (schedule.kind === 'cron' && schedule.expr) return schedule.tz ? `${schedule.expr} (${schedule.tz})` : schedule.expr;
+  if (schedule.kind === 'every' && schedule.everyMs) {
+    const min = Math.round(schedule.everyMs / 60000);
+    return min % 60 === 0 ? `Every ${min / 60}h` : `Every ${min}m`;
+  }
+  if (schedule.kind === 'at' && schedule.at) {
+    const at = new Date(schedule.at);
+    if (!isNaN(at)) return 'Once, ' + at.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: TZ });
+  }
+  return JSON.stringify(schedule);
+}
+
+module.exports = { TZ, escHtml, fmtTime, fmtWhen, formatAge, formatDuration, formatSchedule };
@@ -0,0 +1,176 @@
+/**
+ * history.js
+ * Append-only JSONL history of generator runs, so trends survive past the
+ * fixed 2h/24h windows. One compact snapshot per line:
+ *
+ *   { "t": <ms>, "active": { "<agent>": <running sessions> },
+ *     "runs": [[agent, sessionId, updatedAt, "cron"|"subagent", state], ...] }
+ *
+ * `runs` only lists sessions updated since the previous snapshot. Snapshots
+ * older than `retentionDays` are dropped; those older than `compactAfterDays`
+ * are merged into one per hour (peak `active`, union of `runs`, `"c": 1`).
+ */
+const fs = require('fs');
+const path = require('path');
+const { TZ } = require('./format');
+const { FAILED_STATES } = require('./transcript');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+const TREND_DAYS = 14;
+const CONCURRENCY_HOURS = 48;
+
+function dayKey(ms) {
+  return new Date(ms).toLocaleDateString('en-CA', { timeZone: TZ });
+}
+
+function readSnapshots(file) {
+  let raw;
+  try { raw = fs.readFileSync(file, 'utf8'); } catch { return []; }
+  const out = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch {}
+  }
+  return out.sort((a, b) => a.t - b.t);
+}
+
+function toSnapshot(c, since) {
+  const active = {};
+  for (const agentName of c.agentNames) active[agentName] = 0;
+  for (const s of c.agentWorkSessions) if (s.isActive) active[s.agentName]++;
+  // The whole session window, so runs between sparse snapshots still count
+  const runs = c.workSessions
+    .filter(s => s.sessionId && s.updatedAt > since)
+    .map(s => [s.agentName, s.sessionId, s.updatedAt, s.key.includes(':cron:') ? 'cron' : 'subagent', s.status]);
+  return { t: c.nowMs, active, runs };
+}
+
+// Peak concurrency per agent and the union of runs, latest update wins.
+function mergeSnapshots(t, group) {
+  const active = {};
+  const runs = new Map();
+  for (const s of group) {
+    for (const [agent, n] of Object.entries(s.active)) active[agent] = Math.max(active[agent] || 0, n);
+    for (const r of s.runs) {
+      const id = `${r[0]}/${r[1]}`;
+      if (!runs.has(id) || runs.get(id)[2] <= r[2]) runs.set(id, r);
+    }
+  }
+  return { t, c: 1, active, runs: [...runs.values()] };
+}
+
+function compact(snapshots, { nowMs, retentionDays, compactAfterDays }) {
+  const dropBefore = nowMs - retentionDays * DAY_MS;
+  const compactBefore = nowMs - compactAfterDays * DAY_MS;
+  const kept = [];
+  const buckets = new Map();
+  for (const s of snapshots) {
+    if (s.t < dropBefore) continue;
+    if (s.t >= compactBefore) { kept.push(s); continue; }
+    const hour = Math.floor(s.t / HOUR_MS) * HOUR_MS;
+    if (!buckets.has(hour)) buckets.set(hour, []);
+    buckets.get(hour).push(s);
+  }
+  const merged = [...buckets.entries()].map(([hour, group]) =>
+    (group.length === 1 && group[0].c ? group[0] : mergeSnapshots(hour, group)));
+  return [...merged, ...kept].sort((a, b) => a.t - b.t);
+}
+
+// ── Trends ───────────────────────────────────────────────────────────────────
+
+function buildTrends(snapshots, { nowMs, agentNames }) {
+  const days = [];
+  for (let i = TREND_DAYS - 1; i >= 0; i--) days.push(dayKey(nowMs - i * DAY_MS));
+  const dayIndex = new Map(days.map((d, i) => [d, i]));
+
+  // Latest record of every run across all snapshots
+  const runs = new Map();
+  for (const s of snapshots) {
+    for (const r of s.runs) {
+      const id = `${r[0]}/${r[1]}`;
+      if (!runs.has(id) || runs.get(id)[2] <= r[2]) runs.set(id, r);
+    }
+  }
+
+  const sessionsPerAgent = {};
+  for (const agentName of agentNames) sessionsPerAgent[agentName] = days.map(() => 0);
+  const cronRuns = { ok: days.map(() => 0), error: days.map(() => 0), running: days.map(() => 0) };
+  for (const [agent, , updatedAt, kind, status] of runs.values()) {
+    const i = dayIndex.get(dayKey(updatedAt));
+    if (i === undefined) continue;
+    if (sessionsPerAgent[agent]) sessionsPerAgent[agent][i]++;
+    if (kind !== 'cron') continue;
+    if (status === 'completed') cronRuns.ok[i]++;
+    else if (FAILED_STATES.includes(status)) cronRuns.error[i]++;
+    else cronRuns.running[i]++;
+  }
+
+  // [t, agents with a running session, running sessions]
+  const since = nowMs - CONCURRENCY_HOURS * HOUR_MS;
+  const concurrency = snapshots
+    .filter(s => s.t >= since)
+    .map(s => {
+      const counts = Object.values(s.active);
+      return [s.t, counts.filter(n => n > 0).length, counts.reduce((a, b) => a + b, 0)];
+    });
+
+  return {
+    days,
+    sessionsPerAgent,
+    cronRuns,
+    concurrency,
+    snapshots: snapshots.length,
+    since: snapshots.length ? snapshots[0].t : null,
+  };
+}
+
+// ── Store ────────────────────────────────────────────────────────────────────
+
+// `minIntervalMs` throttles appends for the long-running server.
+function createHistoryStore({ file, retentionDays = 90, compactAfterDays = 7, minIntervalMs = 0 }) {
+  let snapshots = null;
+
+  function load() {
+    if (snapshots === null) snapshots = readSnapshots(file);
+    return snapshots;
+  }
+
+  function rewrite() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, snapshots.map(s => JSON.stringify(s)).join('\n') + (snapshots.length ? '\n' : ''));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    file,
+
+    // Appends a snapshot of collected data `c`; returns false when throttled.
+    record(c) {
+      load();
+      const last = snapshots[snapshots.length - 1];
+      if (last && c.nowMs - last.t < minIntervalMs) return false;
+      const snapshot = toSnapshot(c, last ? last.t : 0);
+
+      const before = snapshots.length;
+      const compacted = compact(snapshots, { nowMs: c.nowMs, retentionDays, compactAfterDays });
+      const changed = compacted.length !== before || compacted.some((s, i) => s !== snapshots[i]);
+      snapshots = compacted;
+      snapshots.push(snapshot);
+
+      if (changed) rewrite();
+      else {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, JSON.stringify(snapshot) + '\n');
+      }
+      return true;
+    },
+
+    trends(c) {
+      return buildTrends(load(), { nowMs: c.nowMs, agentNames: c.agentNames });
+    },
+  };
+}
+
+module.exports = { createHistoryStore, buildTrends };
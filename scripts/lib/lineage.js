@@ -0,0 +1,110 @@
+/**
+ * lineage.js
+ * Who spawned what. Every session updated in the window has its
+ * `sessions_spawn` calls picked out of its transcript (by session-index.js,
+ * with spawnRecord below); the call's result names the child by
+ * `childSessionKey`, and the user message before the call is the turn that
+ * asked for it. Parents can be main sessions, cron runs or subagents
+ * themselves, so the result is a forest.
+ *
+ * Nodes are published flat with a `parent` key: spawning sessions, the
+ * sessions they spawned, and subagents whose parent could not be found.
+ * Cron runs and main sessions that spawned nothing are left out.
+ */
+const { FAILED_STATES, sessionState } = require('./transcript');
+
+const SPAWN_TOOL = 'sessions_spawn';
+const CHILD_KEY = /agent:[\w-]+:subagent:[\w-]+/;
+
+function sessionKind(key) {
+  if (key.includes(':subagent:')) return 'subagent';
+  if (key.includes(':cron:')) return key.includes(':run:') ? 'cron' : null;
+  return 'main';
+}
+
+function agentOfKey(key) {
+  return key.split(':')[1] || '?';
+}
+
+function firstLine(text, max = 120) {
+  const line = text.replace(/^\[.*?\]\s*/, '').split('\n')[0].trim();
+  return line.length > max ? line.slice(0, max - 3) + '...' : line;
+}
+
+// { childKey, task, turn, spawnedAt } for a spawn call that succeeded, or
+// null when its result names no child. `call` holds the call's `args` text,
+// the `turn` it answered and its timestamp `ts`.
+function spawnRecord(call, resultText) {
+  let childKey = null;
+  try { childKey = JSON.parse(resultText).childSessionKey || null; } catch {}
+  childKey ||= (resultText.match(CHILD_KEY) || [null])[0];
+  if (!childKey) return null;
+  let task = null;
+  try { task = JSON.parse(call.args).task || null; } catch {}
+  return { childKey, task: task && firstLine(task), turn: call.turn, spawnedAt: call.ts };
+}
+
+// `describe(agentName, key, meta)` labels a session that has no spawn task.
+// `index` is the collection's session index (see session-index.js).
+function collectLineage(index, { agentNames, nowMs, windowMin, describe }) {
+  const sessions = new Map();  // key -> session read from a store
+  const spawnedBy = new Map(); // child key -> { parent, task, turn, spawnedAt }
+
+  for (const agentName of agentNames) {
+    for (const [key, meta] of Object.entries(index.store(agentName))) {
+      const kind = sessionKind(key);
+      const updatedAt = meta.updatedAt || 0;
+      if (!kind || (nowMs - updatedAt) / 60000 > windowMin) continue;
+
+      const summary = meta.sessionId ? index.summary(agentName, meta.sessionId) : null;
+      sessions.set(key, { agentName, key, kind, meta, summary });
+      for (const spawn of summary ? summary.spawns : []) {
+        spawnedBy.set(spawn.childKey, { parent: key, ...spawn });
+      }
+    }
+  }
+
+  const parents = new Set([...spawnedBy.values()].map(s => s.parent));
+  const keys = new Set([...parents, ...spawnedBy.keys()]);
+  for (const s of sessions.values()) if (s.kind === 'subagent') keys.add(s.key);
+
+  const nodes = [...keys].map(key => {
+    const s = sessions.get(key);
+    const spawn = spawnedBy.get(key) || null;
+    const node = {
+      key,
+      agent: s ? s.agentName : agentOfKey(key),
+      kind: s ? s.kind : sessionKind(key) || 'subagent',
+      label: spawn?.task || s?.meta.label || (s?.kind === 'main' ? 'Main session' : s && describe(s.agentName, key, s.meta)) || key,
+      parent: spawn ? spawn.parent : null,
+      turn: spawn ? spawn.turn : null,
+      spawnedAt: spawn ? spawn.spawnedAt : null,
+      startedAt: null,
+      endedAt: null,
+      durationMs: null,
+      status: null,
+      reason: null,
+      error: null,
+    };
+    if (s?.meta.sessionId) node.sessionId = s.meta.sessionId;
+    // A spawned key with no session behind it keeps a null status
+    if (s) {
+      const { startedAt, endedAt } = s.summary || {};
+      const { state, reason } = sessionState(s.summary, nowMs, s.meta.updatedAt);
+      Object.assign(node, {
+        startedAt: startedAt ?? null,
+        endedAt: endedAt ?? s.meta.updatedAt ?? null,
+        durationMs: startedAt != null && endedAt != null ? endedAt - startedAt : null,
+        status: state,
+        reason,
+        error: FAILED_STATES.includes(state) ? reason : null,
+      });
+    }
+    return node;
+  });
+
+  const at = n => n.spawnedAt ?? n.startedAt ?? n.endedAt ?? 0;
+  return nodes.sort((a, b) => at(a) - at(b));
+}
+
+module.exports = { SPAWN_TOOL, firstLine, spawnRecord, collectLineage };
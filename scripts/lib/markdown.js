@@ -0,0 +1,68 @@
+/**
+ * markdown.js
+ * Just enough Markdown for the workspace docs (SOUL.md, IDENTITY.md, ...) in
+ * the static export: headings, paragraphs, lists, block quotes, fenced code,
+ * rules, and inline code, bold, italic and links. Everything is escaped first,
+ * so a doc can never inject markup; links only keep http(s), mailto and
+ * relative targets.
+ */
+const { escHtml } = require('./format');
+
+function safeHref(url) {
+  return /^(https?:|mailto:|[#./\w-])/i.test(url) && !/^(javascript|data|vbscript):/i.test(url) ? url : '#';
+}
+
+function inline(text) {
+  const code = [];
+  let s = escHtml(text).replace(/`([^`]+)`/g, (m, c) => `\u0000${code.push(c) - 1}\u0000`);
+  s = s
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => `<a href="${safeHref(url)}">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\w)|(^|\W)_([^_\s][^_]*)_(?!\w)/g, (m, p1, a, p2, b) => `${p1 ?? p2}<em>${a || b}</em>`);
+  return s.replace(/\u0000(\d+)\u0000/g, (m, i) => `<code>${code[i]}</code>`);
+}
+
+function renderMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let para = [];
+  let list = null; // { tag, items }
+  let quote = [];
+
+  const flushPara = () => { if (para.length) out.push(`<p>${inline(para.join(' '))}</p>`); para = []; };
+  const flushList = () => { if (list) out.push(`<${list.tag}>${list.items.map(i => `<li>${inline(i)}</li>`).join('')}</${list.tag}>`); list = null; };
+  const flushQuote = () => { if (quote.length) out.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`); quote = []; };
+  const flush = () => { flushPara(); flushList(); flushQuote(); };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)/);
+    if (fence) {
+      flush();
+      const body = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i]);
+      out.push(`<pre><code${fence[2] ? ` class="language-${escHtml(fence[2])}"` : ''}>${escHtml(body.join('\n'))}</code></pre>`);
+      continue;
+    }
+    if (/^\s*>/.test(line)) { flushPara(); flushList(); quote.push(line.replace(/^\s*>\s?/, '')); continue; }
+    flushQuote();
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (!line.trim()) flush();
+    else if (heading) { flush(); out.push(`<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`); }
+    else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) { flush(); out.push('<hr>'); }
+    else if (item) {
+      flushPara();
+      const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (list && list.tag !== tag) flushList();
+      list ||= { tag, items: [] };
+      list.items.push(item[2]);
+    } else if (list && /^\s+\S/.test(line)) list.items[list.items.length - 1] += ' ' + line.trim();
+    else { flushList(); para.push(line.trim()); }
+  }
+  flush();
+  return out.join('\n');
+}
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,223 @@
+/**
+ * redact.js
+ * What leaves the machine. Task descriptions are the first line of raw
+ * prompts, so everything the generator writes goes through an output profile
+ * first (see redactCollected):
+ *
+ *   private  data as collected, transcripts included
+ *   public   rules applied to every free-text field, private agents and cron
+ *            jobs reduced to a generic label, private job ids and session
+ *            keys hashed, session ids, transcripts and workspace doc links
+ *            left out
+ *
+ * Rules come from `--redact <file.json>`; every key is optional:
+ *
+ *   {
+ *     "patterns": [{ "pattern": "\\bacct-\\d+\\b", "flags": "i", "replace": "[account]" }],
+ *     "keywords": ["commute", "permit"],
+ *     "agents": { "chase": { "private": true } },
+ *     "jobs": { "Sawbill Lake Permit Monitor": { "private": true }, "aa2b135b": { "private": true } },
+ *     "salt": "any string"
+ *   }
+ *
+ * Patterns replace just the match and come on top of the built-in email and
+ * phone number rules; a keyword (case-insensitive) replaces the whole field.
+ * Jobs are matched by full id, 8-character id or name, as in alerts.js.
+ * `salt` keys the hash of session keys and private job ids, so they can't be
+ * recomputed from a known id or matched across sites. The public profile
+ * refuses to run without one; without the key, loadSalt() keeps a random
+ * salt in a file next to the other generator state.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES = ['private', 'public'];
+
+const DEFAULT_PATTERNS = [
+  { pattern: '[\\w.+-]+@[\\w-]+(\\.[\\w-]+)+', replace: '[email]' },
+  { pattern: '(\\+\\d{1,3}[ .-]?)?\\(?\\b\\d{3}\\)?[ .-]\\d{3}[ .-]\\d{4}\\b', replace: '[phone]' },
+];
+
+const PRIVATE_TASK = 'Private task';
+const REDACTED = '[redacted]';
+const HIDDEN = 'details hidden';
+
+// Throws on rules that don't compile, so a typo can't publish everything.
+function loadRedactConfig(file) {
+  const raw = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const patterns = [...DEFAULT_PATTERNS, ...(raw.patterns || [])].map((p, i) => {
+    if (typeof p.pattern !== 'string') throw new Error(`patterns[${i}]: "pattern" must be a string`);
+    const flags = p.flags || '';
+    try {
+      return { re: new RegExp(p.pattern, flags.includes('g') ? flags : flags + 'g'), replace: p.replace ?? REDACTED };
+    } catch (e) {
+      throw new Error(`patterns[${i}]: ${e.message}`);
+    }
+  });
+  return {
+    patterns,
+    keywords: (raw.keywords || []).map(k => String(k).toLowerCase()).filter(Boolean),
+    agents: raw.agents || {},
+    jobs: raw.jobs || {},
+    salt: raw.salt || null,
+  };
+}
+
+// Salt kept in `file`, created with a random one on first use; a fresh
+// random salt when there is no file to keep it in.
+function loadSalt(file) {
+  if (file) {
+    try {
+      return fs.readFileSync(file, 'utf8').trim();
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, salt + '\n', { mode: 0o600 });
+  }
+  return salt;
+}
+
+// ── Redactor ─────────────────────────────────────────────────────────────────
+
+// `cronJobs` are the raw jobs from the source; private ones are resolved here
+// so their names can be scrubbed from any text that mentions them.
+function createRedactor(config, { profile, cronJobs = [] }) {
+  if (!PROFILES.includes(profile)) throw new Error(`unknown output profile "${profile}" (expected ${PROFILES.join(', ')})`);
+  if (profile === 'public' && !config.salt) throw new Error('the public profile needs a salt to hash session keys and job ids');
+
+  const hash = s => crypto.createHash('sha256').update(`${config.salt}:${s}`).digest('hex').slice(0, 12);
+
+  const jobConfig = j => config.jobs[j.id] || config.jobs[(j.id || '').slice(0, 8)] || config.jobs[j.name] || {};
+  // Raw id -> hashed id, for the jobs whose ids are not published
+  const privateJobs = new Map(cronJobs.filter(j => jobConfig(j).private).map(j => [String(j.id), hash(String(j.id))]));
+  const jobLabel = id => `Private job (${privateJobs.get(id).slice(0, 8)})`;
+  const privateNames = cronJobs.filter(j => privateJobs.has(String(j.id)) && j.name)
+    .map(j => [j.name, jobLabel(String(j.id))])
+    .sort((a, b) => b[0].length - a[0].length);
+
+  // Cron job id from `agent:<a>:cron:<jobId>[:run:<sessionId>]`
+  const jobOfKey = key => {
+    const id = (String(key).match(/:cron:([^:]+)/) || [])[1];
+    return id ? [...privateJobs.keys()].find(j => j === id || j.slice(0, 8) === id.slice(0, 8)) : undefined;
+  };
+
+  const r = {
+    profile,
+
+    // Free text: a keyword hides the whole field, otherwise private job names
+    // and pattern matches are replaced in place.
+    text(s, whole = REDACTED) {
+      if (s == null) return s;
+      const lower = String(s).toLowerCase();
+      if (config.keywords.some(k => lower.includes(k))) return whole;
+      let out = String(s);
+      for (const [name, label] of privateNames) out = out.split(name).join(label);
+      for (const p of config.patterns) out = out.replace(p.re, p.replace);
+      return out;
+    },
+
+    task: s => r.text(s, PRIVATE_TASK),
+
+    // Whether a session's content is hidden: its agent or its cron job is private
+    isPrivate: (agentName, key = '') => Boolean(config.agents[agentName]?.private) || jobOfKey(key) !== undefined,
+
+    // Generic label for a hidden session
+    privateLabel: key => (jobOfKey(key) !== undefined ? jobLabel(jobOfKey(key)) : PRIVATE_TASK),
+
+    jobName: j => (privateJobs.has(String(j.id)) ? jobLabel(String(j.id)) : r.text(j.name)),
+
+    // Private jobs go out under their hashed id, the same hash their
+    // session keys carry
+    jobId: id => (id == null ? id : privateJobs.get(String(id)) ?? id),
+
+    // Same shape (agent:<a>:<kind>:...) so kind checks keep working; every
+    // segment past the kind (ids, people, channels) is hashed.
+    key: key => (key == null ? key : String(key).split(':').map((seg, i) => (i >= 3 ? hash(seg) : seg)).join(':')),
+
+    // Opaque stand-in for an id built from keys and job ids (alert ids)
+    id: id => hash(id),
+  };
+  return r;
+}
+
+// ── Collected data ───────────────────────────────────────────────────────────
+
+function redactSession(s, r) {
+  const hidden = r.isPrivate(s.agentName, s.key);
+  return {
+    ...s,
+    sessionId: null,
+    key: r.key(s.key),
+    taskDesc: hidden ? r.privateLabel(s.key) : r.task(s.taskDesc),
+    reason: hidden ? s.reason && HIDDEN : r.text(s.reason),
+    error: hidden ? s.error && HIDDEN : r.text(s.error),
+  };
+}
+
+// A copy of collected dashboard data (see collect.js) fit for `r.profile`;
+// the private profile returns `c` itself. Every writer renders from this.
+function redactCollected(c, r) {
+  if (r.profile === 'private') return c;
+
+  const sessions = new Map(c.workSessions.map(s => [s, redactSession(s, r)]));
+  const perAgentTasks = Object.fromEntries(Object.entries(c.perAgentTasks).map(([a, list]) => [a, list.map(s => sessions.get(s))]));
+  const cronJobs = c.cronJobs.map(j => ({ ...j, id: r.jobId(j.id), name: r.jobName(j) }));
+  const cronHealth = new Map([...c.cronHealth].map(([id, h]) => {
+    const hidden = r.isPrivate(h.agent, `:cron:${id}`);
+    const error = e => (hidden ? e && HIDDEN : r.text(e));
+    return [r.jobId(id), { ...h, lastError: error(h.lastError), runs: h.runs.map(({ sessionId, ...run }) => ({ ...run, error: error(run.error) })) }];
+  }));
+  const listed = s => ({
+    key: r.key(String(s.key || s.id || '?')),
+    model: s.model,
+    tokens: s.tokens ?? s.contextTokens,
+    age: s.age,
+    ageMs: s.ageMs,
+  });
+  const lineage = c.lineage.map(({ sessionId, ...n }) => {
+    const hidden = r.isPrivate(n.agent, n.key);
+    return {
+      ...n,
+      key: r.key(n.key),
+      parent: r.key(n.parent),
+      label: hidden ? r.privateLabel(n.key) : r.task(n.label),
+      turn: hidden ? null : r.task(n.turn),
+      reason: hidden ? n.reason && HIDDEN : r.text(n.reason),
+      error: hidden ? n.error && HIDDEN : r.text(n.error),
+    };
+  });
+  const usage = c.usage && {
+    ...c.usage,
+    byCronJob: Object.fromEntries(Object.entries(c.usage.byCronJob).map(([name, t]) => [r.text(name), t])),
+    topConsumers: c.usage.topConsumers.map(t => ({ ...t, label: r.isPrivate(t.agent) ? PRIVATE_TASK : r.task(t.label) })),
+  };
+  const alerts = c.alerts && c.alerts.map(({ sessionId, ...a }) => ({
+    ...a,
+    id: `${a.rule}:${r.id(a.id)}`,
+    title: r.text(a.title),
+    detail: r.isPrivate(a.agent, a.jobId ? `:cron:${a.jobId}` : '') ? HIDDEN : r.text(a.detail),
+    ...(a.jobId ? { jobId: r.jobId(a.jobId) } : {}),
+  }));
+
+  return {
+    ...c,
+    roster: { ...c.roster, agents: c.roster.agents.map(a => ({ ...a, docs: [] })) },
+    cronJobs,
+    cronHealth,
+    activeSessions: c.activeSessions.map(listed),
+    allSessions: c.allSessions.map(listed),
+    workSessions: c.workSessions.map(s => sessions.get(s)),
+    agentWorkSessions: c.agentWorkSessions.map(s => sessions.get(s)),
+    perAgentTasks,
+    lineage,
+    ...(usage ? { usage } : {}),
+    ...(alerts ? { alerts } : {}),
+  };
+}
+
+module.exports = { PROFILES, loadRedactConfig, loadSalt, createRedactor, redactCollected };
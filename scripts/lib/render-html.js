@@ -0,0 +1,376 @@
+/**
+ * render-html.js
+ * Builds agent-dashboard.html from scripts/templates/agent-dashboard.html.
+ * Each section is a component returning an HTML string; the template only
+ * names the slots they fill (see template.js). The page is rebuilt from
+ * scratch on every run, so the same collected data always gives the same file.
+ */
+const { TZ, escHtml, fmtTime, formatAge, formatDuration } = require('./format');
+const { normalizeCronJob } = require('./collect');
+const { ACTIVE_STATES, FAILED_STATES } = require('./transcript');
+const { loadTemplate, renderTemplate, writeFileAtomic } = require('./template');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+// Roster entry for an agent; ones missing from the roster render in grey.
+function agentInfo(c, name) {
+  return c.roster.agents.find(a => a.name === name)
+    || { name, label: name, color: '#a0a0a0', avatar: 'https://ui-avatars.com/api/?name=' + encodeURIComponent(name) + '&background=333&color=fff' };
+}
+
+// How each session state (see transcript.js) is shown
+const STATES = {
+  running: { label: 'Running', color: '#48bb78', icon: '🟢' },
+  waiting: { label: 'Waiting on tool', color: '#63b3ed', icon: '⏳' },
+  completed: { label: 'Completed', color: '#808080', icon: '✅' },
+  errored: { label: 'Errored', color: '#fc8181', icon: '❌' },
+  aborted: { label: 'Aborted', color: '#ed8936', icon: '⛔' },
+  stale: { label: 'Stale', color: '#b794f4', icon: '💤' },
+};
+
+// A work session's description, linked when `sessionHref` has a page for it
+function sessionLink(s, sessionHref) {
+  const href = sessionHref && s.sessionId ? sessionHref(s.agentName, s.sessionId) : null;
+  return href ? `<a href="${escHtml(href)}" style="color:inherit;">${escHtml(s.taskDesc)}</a>` : escHtml(s.taskDesc);
+}
+
+// '#rgb' or '#rrggbb' as rgba() at the given opacity
+function tint(hex, alpha) {
+  const h = hex.length === 4 ? hex.slice(1).split('').map(ch => ch + ch).join('') : hex.slice(1);
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+// '03:45' -> '3:45 AM'
+function fmtAt(at) {
+  const [h, m] = at.split(':').map(Number);
+  return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+// ── Live panel ───────────────────────────────────────────────────────────────
+
+function statCards(c) {
+  const items = [
+    { value: c.cronJobs.length, label: 'Scheduled Jobs', color: '#667eea' },
+    { value: c.agentWorkSessions.filter(s => s.isActive).length, label: 'Agents Working', color: '#48bb78' },
+    { value: c.allSessions.length, label: 'Total Sessions', color: '#ed8936' },
+    { value: c.agentNames.filter(a => a !== c.coordinator).length, label: 'Agents', color: '#9f7aea' },
+  ];
+  return `<div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(130px,1fr));gap:12px;margin-bottom:20px;">
+${items.map(i => `  <div style="background:${tint(i.color, 0.1)};border:1px solid ${tint(i.color, 0.3)};border-radius:10px;padding:16px;text-align:center;">
+    <div style="font-size:28px;font-weight:bold;color:${i.color};">${i.value}</div>
+    <div style="font-size:11px;color:#a0a0a0;margin-top:4px;">${i.label}</div>
+  </div>`).join('\n')}
+</div>`;
+}
+
+function alertList(c) {
+  return (c.alerts || []).map(a => {
+    const color = a.severity === 'error' ? '#fc8181' : '#ed8936';
+    return `<div style="background:rgba(252,129,129,0.08);border:1px solid ${color};border-radius:10px;padding:10px 14px;margin-bottom:8px;">
+  <span style="color:${color};font-weight:700;">${a.severity === 'error' ? '🚨' : '⚠️'} ${escHtml(a.title)}</span>
+  <span style="color:#a0a0a0;font-size:12px;margin-left:6px;">${escHtml(a.detail)}</span>
+</div>`;
+  }).join('\n');
+}
+
+function currentlyWorking(c) {
+  const active = c.agentWorkSessions.filter(s => s.isActive);
+  if (active.length === 0) {
+    return `<div style="background:rgba(255,255,255,0.02);border:1px solid rgba(255,255,255,0.06);border-radius:14px;padding:16px 18px;margin-bottom:16px;text-align:center;">
+  <span style="color:#606060;font-size:13px;">✨ All agents idle — no active tasks</span>
+</div>`;
+  }
+  const items = active.map(s => {
+    const agent = agentInfo(c, s.agentName);
+    return `  <div class="cw-item">
+    <div class="cw-spinner" style="border-top-color:${agent.color};"></div>
+    <img src="${escHtml(agent.avatar)}" alt="${escHtml(s.agentName)}" style="width:32px;height:32px;border-radius:50%;object-fit:cover;flex-shrink:0;">
+    <div style="flex:1;min-width:0;">
+      <div style="display:flex;align-items:center;gap:8px;">
+        <span style="color:${agent.color};font-weight:700;font-size:14px;">${escHtml(agent.label)}</span>
+        ${s.status === 'waiting'
+          ? '<span style="background:rgba(99,179,237,0.15);color:#63b3ed;font-size:10px;font-weight:700;padding:2px 8px;border-radius:10px;text-transform:uppercase;letter-spacing:0.5px;">⏳ Waiting on tool</span>'
+          : '<span style="background:rgba(72,187,120,0.15);color:#48bb78;font-size:10px;font-weight:700;padding:2px 8px;border-radius:10px;text-transform:uppercase;letter-spacing:0.5px;">⚡ In Progress</span>'}
+      </div>
+      <div style="color:#d0d0d0;font-size:13px;margin-top:3px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escHtml(s.taskDesc)}</div>
+      <div style="color:#808080;font-size:11px;margin-top:2px;">${escHtml(s.reason)}</div>
+    </div>
+    <div class="cw-elapsed" data-started="${s.startedAt ?? s.updatedAt}">${s.startedAt ? formatDuration(c.nowMs - s.startedAt) : formatAge(s.ageMin)}</div>
+  </div>`;
+  });
+  return `<div class="currently-working-card">
+  <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
+    <span style="font-size:18px;">⚙️</span>
+    <span style="color:#e0e0e0;font-size:16px;font-weight:700;">Currently Working</span>
+    <span style="background:#48bb78;color:#000;font-size:11px;font-weight:700;padding:2px 8px;border-radius:10px;">${active.length} ACTIVE</span>
+  </div>
+${items.join('\n')}
+</div>`;
+}
+
+// Subagents and cron runs from the last 2 hours
+function workSessions(c, sessionHref) {
+  if (c.agentWorkSessions.length === 0) {
+    return '<div style="color:#808080; font-style:italic; padding:12px;">No agent work sessions in the last 2 hours</div>';
+  }
+  return c.agentWorkSessions.map(s => {
+    const agent = agentInfo(c, s.agentName);
+    const state = STATES[s.status];
+    const statusDot = `<span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:${state.color};margin-right:6px;${s.isActive ? 'animation:pulse 2s infinite;' : ''}"></span>`;
+    const reason = s.status === 'completed' ? ''
+      : `\n    <div style="color:${FAILED_STATES.includes(s.status) ? state.color : '#808080'};font-size:11px;margin-top:2px;">${escHtml(s.reason)}</div>`;
+    return `<div style="display:flex;align-items:flex-start;gap:12px;padding:10px 12px;margin-bottom:8px;background:rgba(255,255,255,0.02);border:1px solid rgba(255,255,255,0.06);border-radius:10px;${s.isActive ? 'border-left:3px solid ' + agent.color + ';' : ''}">
+  <img src="${escHtml(agent.avatar)}" alt="${escHtml(s.agentName)}" class="agent-avatar" style="width:36px;height:36px;border-radius:50%;object-fit:cover;">
+  <div style="flex:1;min-width:0;">
+    <div style="display:flex;align-items:center;gap:8px;margin-bottom:4px;">
+      ${statusDot}
+      <span style="color:${agent.color};font-weight:700;font-size:14px;">${escHtml(agent.label)}</span>
+      <span style="color:${state.color};font-size:11px;font-weight:600;text-transform:uppercase;">${state.label}</span>
+      <span style="color:#606060;font-size:11px;margin-left:auto;">${formatAge(s.ageMin)}</span>
+    </div>
+    <div style="color:#c0c0c0;font-size:12px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${sessionLink(s, sessionHref)}</div>${reason}
+    <div style="color:#606060;font-size:10px;margin-top:2px;">${escHtml(s.model)}</div>
+  </div>
+</div>`;
+  }).join('\n');
+}
+
+function activeSessionList(c) {
+  if (c.activeSessions.length === 0) {
+    return '<div style="color:#808080; font-style:italic; padding:8px;">No active sessions in the last hour</div>';
+  }
+  return c.activeSessions.map(s => `<div style="display:flex; justify-content:space-between; align-items:center; padding:8px 0; border-bottom:1px solid rgba(255,255,255,0.05);">
+  <span style="color:#e0e0e0; font-size:13px; font-family:monospace;">${escHtml(s.key || s.id || '?')}</span>
+  <span style="color:#a0a0a0; font-size:12px;">${escHtml(s.model || '?')} · ${escHtml(s.tokens || s.contextTokens || '?')} · ${escHtml(s.age || '?')}</span>
+</div>`).join('\n');
+}
+
+function cronTable(c) {
+  const th = label => `<th style="text-align:left;padding:8px;color:#667eea;font-size:11px;text-transform:uppercase;">${label}</th>`;
+  const rows = c.cronJobs.map(j => normalizeCronJob(j, c.cronHealth.get(j.id), c.nowMs)).map(j => {
+    const statusColor = j.status === 'ok' ? '#48bb78' : j.status === 'error' ? '#fc8181' : '#a0a0a0';
+    const overdue = j.overdue ? ' <span style="color:#ed8936; font-weight:600;">⚠ OVERDUE</span>' : '';
+    return `    <tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">
+      <td style="padding:8px;"><code style="color:#667eea;">${escHtml(j.id)}</code></td>
+      <td style="padding:8px;">${escHtml(j.name)}</td>
+      <td style="padding:8px; font-size:11px;"><code>${escHtml(j.schedule)}</code></td>
+      <td style="padding:8px;">${escHtml(j.agent)}</td>
+      <td style="padding:8px;"><span style="color:${statusColor}; font-weight:600;">● ${escHtml(j.status.toUpperCase())}</span>${overdue}</td>
+      <td style="padding:8px; font-size:12px;">${escHtml(j.next)}</td>
+      <td style="padding:8px; font-size:12px;">${escHtml(j.last)}</td>
+    </tr>`;
+  });
+  return `<table style="width:100%;border-collapse:collapse;font-size:13px;">
+  <thead>
+    <tr style="border-bottom:2px solid rgba(102,126,234,0.3);">
+      ${['ID', 'Name', 'Schedule', 'Agent', 'Status', 'Next', 'Last'].map(th).join('\n      ')}
+    </tr>
+  </thead>
+  <tbody>
+${rows.join('\n')}
+  </tbody>
+</table>`;
+}
+
+// Nested components are indented to their position in the panel.
+function indent(html, spaces) {
+  const pad = ' '.repeat(spaces);
+  return html.split('\n').map((l, i) => (i === 0 || !l ? l : pad + l)).join('\n');
+}
+
+function livePanel(c, sessionHref) {
+  return `<div id="live-data-panel" class="org-tier">
+  <div class="team-collab-section">
+    <h2 class="section-title">⚡ Live System Status <span style="font-size:12px;color:#808080;font-weight:normal;">Auto-updated ${fmtTime(c.nowMs)}</span></h2>
+    ${indent(alertList(c), 4)}
+    ${indent(statCards(c), 4)}
+    ${indent(currentlyWorking(c), 4)}
+
+    <div class="collab-card">
+      <h3 class="collab-heading">🤖 Agent Work Sessions <span style="font-size:11px;color:#808080;font-weight:normal;">(last 2 hours · ${c.agentWorkSessions.length} total)</span></h3>
+      <div class="scrollable-list" style="max-height:320px;overflow-y:auto;padding:4px 0;">
+        ${indent(workSessions(c, sessionHref), 8)}
+      </div>
+    </div>
+
+    <div class="collab-card">
+      <h3 class="collab-heading">🕐 Active Sessions (Last Hour)</h3>
+      <div class="scrollable-list" style="max-height:250px;overflow-y:auto;padding:4px 0;">
+        ${indent(activeSessionList(c), 8)}
+      </div>
+    </div>
+
+    <div class="collab-card">
+      <h3 class="collab-heading">📋 All Scheduled Jobs <span style="font-size:11px;color:#808080;font-weight:normal;">(live from openclaw cron list)</span></h3>
+      <div style="overflow-x:auto;">
+        ${indent(cronTable(c), 8)}
+      </div>
+    </div>
+  </div>
+</div>`;
+}
+
+// ── Org chart ────────────────────────────────────────────────────────────────
+
+function leaderCard(leader) {
+  if (!leader) return '';
+  return `<div class="org-tier">
+  <div class="leader-card">
+    <img src="${escHtml(leader.avatar)}" alt="${escHtml(leader.name)}" class="leader-avatar">
+    <h2>${escHtml(leader.name)}</h2>
+    <p class="leader-title">${escHtml(leader.title)}</p>
+  </div>
+</div>
+<div class="connector"></div>`;
+}
+
+// '10:55 AM–11:04 AM (8m 50s)' from the transcript, else the last update time
+function timeSpan(t) {
+  const time = ms => new Date(ms).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TZ });
+  if (!t.startedAt || !t.endedAt) return time(t.updatedAt);
+  return `${time(t.startedAt)}–${time(t.endedAt)} (${formatDuration(t.endedAt - t.startedAt)})`;
+}
+
+function taskAudit(tasks, sessionHref) {
+  if (tasks.length === 0) return '<p style="color: #808080; font-style: italic;">No tasks in last 24 hours</p>';
+  return tasks.map(t => {
+    const state = STATES[t.status];
+    const reason = t.status === 'completed' ? '' : `\n  <div class="task-meta" style="color:${state.color};">${state.label} · ${escHtml(t.reason)}</div>`;
+    return `<div class="task-item">
+  <div class="task-name">${state.icon} ${sessionLink(t, sessionHref)}</div>
+  <div class="task-meta">${escHtml(t.model)} · ${formatAge(t.ageMin)} · ${timeSpan(t)}</div>${reason}
+</div>`;
+  }).join('\n');
+}
+
+function scheduledTasks(agent) {
+  if (agent.rituals.length === 0) {
+    const why = agent.onDemand ? ` — ${escHtml(agent.onDemand.toLowerCase())}` : '';
+    return `<p style="color: #808080; font-style: italic;">No scheduled recurring tasks${why}</p>`;
+  }
+  return agent.rituals.map(r => `<div class="task-item">
+  <div class="task-name">${escHtml(r.icon || '•')} ${escHtml(r.name)}</div>
+  <div class="task-meta">${escHtml(r.when)}${r.detail ? ' · ' + escHtml(r.detail) : ''}</div>
+</div>`).join('\n');
+}
+
+function programming(sections = []) {
+  return sections.map(s => [
+    `<h4>${escHtml(s.heading)}</h4>`,
+    s.text && `<p>${escHtml(s.text)}</p>`,
+    s.items && `<ul>\n${s.items.map(i => `  <li>${escHtml(i)}</li>`).join('\n')}\n</ul>`,
+    s.quote && `<blockquote>${escHtml(s.quote)}</blockquote>`,
+  ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+function dropdown(id, label, body) {
+  return `<button class="toggle-dropdown" onclick="toggleDropdown('${id}')">
+  ${label}
+  <span class="arrow">▼</span>
+</button>
+<div class="dropdown-content" id="${id}">
+  ${indent(body, 2)}
+</div>`;
+}
+
+// [class, text] for an agent's status badge from its 24h tasks, newest first.
+// Active beats waiting; an agent whose latest session failed says how.
+function agentBadge(tasks) {
+  return tasks.some(t => t.status === 'running') ? ['status-active', 'ACTIVE']
+    : tasks.some(t => ACTIVE_STATES.includes(t.status)) ? ['status-waiting', 'WAITING']
+    : tasks.length > 0 && FAILED_STATES.includes(tasks[0].status) ? ['status-error', STATES[tasks[0].status].label.toUpperCase()]
+    : ['status-idle', 'IDLE'];
+}
+
+// Element ids are <name>-tasks, -scheduled and -programming
+function agentCard(c, agent, isCoordinator, sessionHref) {
+  const tasks = c.perAgentTasks[agent.name] || [];
+  const [badge, badgeText] = agentBadge(tasks);
+  const spawns = tasks.filter(t => t.key.includes(':subagent:')).length;
+  const links = agent.docs.map(d => `<a href="${escHtml(d.href)}" class="file-link">${isCoordinator ? '' : 'View '}${escHtml(d.label)}</a>`);
+  return `<div class="agent-card${isCoordinator ? ' coordinator' : ''}">${isCoordinator ? '' : '\n  <div class="connector-vertical"></div>'}
+  <div class="agent-header">
+    <img src="${escHtml(agent.avatar)}" alt="${escHtml(agent.label)}" class="agent-avatar">
+    <div class="agent-info">
+      <h3>${escHtml(agent.label)} (${escHtml(agent.title)})</h3>
+      <div class="agent-id">${escHtml(agent.name)}</div>
+    </div>
+  </div>
+  <span class="status-badge ${badge}">● ${badgeText}</span>
+  <p class="agent-role">${escHtml(agent.description)}</p>
+  <div class="agent-stats">
+    <div class="stat">Model<strong>${escHtml(agent.model)}</strong></div>
+    <div class="stat">Spawns<strong>${spawns}</strong></div>
+  </div>
+  <div class="dropdown-section">
+    ${indent(dropdown(`${agent.name}-tasks`, `Task Audit (Last 24h) · ${tasks.length}`, taskAudit(tasks, sessionHref)), 4)}
+    ${indent(dropdown(`${agent.name}-scheduled`, 'Scheduled Tasks', scheduledTasks(agent)), 4)}
+    ${indent(dropdown(`${agent.name}-programming`, 'View Programming', programming(agent.programming)), 4)}
+    ${links.join('\n    ')}
+  </div>
+</div>`;
+}
+
+// Daily rituals in time order; ones without a fixed time go last.
+function ritualList(agents) {
+  const daily = agents.flatMap(a => a.rituals.filter(r => r.daily).map(r => ({ ...r, agent: a })))
+    .sort((x, y) => (x.at || '99:99').localeCompare(y.at || '99:99'));
+  if (daily.length === 0) return '<p style="color:#808080;font-style:italic;">No daily rituals in the roster</p>';
+  return daily.map(r => `<div class="ritual-item">
+  <span class="ritual-time">${escHtml(r.at ? fmtAt(r.at) : r.when)}</span>
+  <span class="ritual-icon">${escHtml(r.icon || '•')}</span>
+  <div class="ritual-details">
+    <strong>${escHtml(r.name)}</strong>
+    <p>${escHtml(r.agent.label)}${r.detail ? ' · ' + escHtml(r.detail) : ''}</p>
+  </div>
+</div>`).join('\n');
+}
+
+function responsibilities(agents) {
+  return agents.map(a => {
+    const duties = a.rituals.length > 0 ? a.rituals.map(r => [`${r.icon || '•'} ${r.name}`, r.when])
+      : a.onDemand ? [['On-Demand', a.onDemand]] : [];
+    const tiles = duties.map(([name, when]) => `  <div style="background:${tint(a.color, 0.08)};border:1px solid ${tint(a.color, 0.2)};border-radius:8px;padding:10px;">
+    <div style="color:${a.color};font-weight:600;font-size:13px;">${escHtml(name)}</div>
+    <div style="color:#a0a0a0;font-size:11px;margin-top:4px;">${escHtml(when)}</div>
+  </div>`);
+    return `<div style="margin-bottom:20px;">
+  <div style="display:flex;align-items:center;gap:10px;margin-bottom:12px;">
+    <img src="${escHtml(a.avatar)}" alt="${escHtml(a.label)}" style="width:32px;height:32px;border-radius:50%;object-fit:cover;">
+    <span class="agent-badge" style="background:${tint(a.color, 0.2)};color:${a.color};border:1px solid ${tint(a.color, 0.4)};">${escHtml(a.emoji)} ${escHtml(a.label)} — ${escHtml(a.title)}</span>
+  </div>
+  <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:8px;margin-left:42px;">
+  ${indent(tiles.join('\n'), 2)}
+  </div>
+</div>`;
+  }).join('\n');
+}
+
+// ── Page ─────────────────────────────────────────────────────────────────────
+
+// `sessionHref(agentName, sessionId)` links task descriptions to a page for
+// the session (see export.js); null, or a null href, leaves them as text.
+function renderAgentDashboard(c, { sessionHref = null } = {}) {
+  const { leader, agents } = c.roster;
+  const coordinator = agents.find(a => a.name === c.coordinator);
+  const title = `${coordinator.label}'s Agent Dashboard`;
+  return renderTemplate(loadTemplate('agent-dashboard.html'), {
+    lastUpdated: new Date(c.nowMs).toISOString(),
+    title,
+    heading: `${coordinator.emoji} ${title}`,
+    coordinatorLabel: coordinator.label,
+    leader: leaderCard(leader),
+    coordinator: agentCard(c, coordinator, true, sessionHref),
+    livePanel: livePanel(c, sessionHref),
+    rituals: ritualList(agents),
+    responsibilities: responsibilities(agents),
+    team: agents.filter(a => a !== coordinator).map(a => agentCard(c, a, false, sessionHref)).join('\n\n'),
+  });
+}
+
+function writeHtmlDashboard(file, c) {
+  writeFileAtomic(file, renderAgentDashboard(c));
+}
+
+module.exports = { STATES, agentBadge, taskAudit, scheduledTasks, programming, renderAgentDashboard, writeHtmlDashboard };
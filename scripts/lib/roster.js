@@ -0,0 +1,80 @@
+/**
+ * roster.js
+ * The agent roster (roster.json at the repo root, or `--roster <file>`): who
+ * the agents are, how they look, who they report to, their workspace docs and
+ * recurring rituals. Everything that names an agent reads it from here.
+ *
+ * Exactly one agent has `"reportsTo": null`; that is the coordinator the rest
+ * report to. `workspace` and `docs` are relative to <openclaw>/workspace.
+ * Rituals with `"at": "HH:MM"` are daily fixed-time rituals; `job` names the
+ * cron job that runs one by prefix, and `critical` ones alert when missed.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ROSTER, checkSchema } = require('./dashboard-schema');
+
+const DEFAULT_ROSTER_FILE = path.join(__dirname, '..', '..', 'roster.json');
+
+// Same shape as the published roster, except docs are plain relative paths.
+const ROSTER_FILE_SCHEMA = {
+  ...ROSTER,
+  agents: [{ ...ROSTER.agents[0], docs: ['string'] }],
+};
+
+// Returns a list of problems; empty means the roster is usable.
+function validateRoster(roster) {
+  const errors = checkSchema(roster, ROSTER_FILE_SCHEMA);
+  if (errors.length > 0 || roster.agents.length === 0) return errors.length ? errors : ['$.agents: empty'];
+
+  const names = roster.agents.map(a => a.name);
+  roster.agents.forEach((a, i) => {
+    const at = `$.agents[${i}]`;
+    // Names end up in element ids, URLs and file paths
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(a.name)) errors.push(`${at}.name: "${a.name}" must be lowercase letters, digits, - or _`);
+    if (names.indexOf(a.name) !== i) errors.push(`${at}.name: duplicate "${a.name}"`);
+    if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(a.color)) errors.push(`${at}.color: "${a.color}" is not a #rgb or #rrggbb colour`);
+    if (a.reportsTo !== null && !names.includes(a.reportsTo)) errors.push(`${at}.reportsTo: unknown agent "${a.reportsTo}"`);
+    for (const p of [a.workspace, ...a.docs]) {
+      if (path.isAbsolute(p) || p.split(/[\\/]/).includes('..')) errors.push(`${at}: "${p}" must stay inside the workspace`);
+    }
+    a.rituals.forEach((r, j) => {
+      if (r.at !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(r.at)) errors.push(`${at}.rituals[${j}].at: "${r.at}" is not HH:MM`);
+    });
+  });
+  const coordinators = roster.agents.filter(a => a.reportsTo === null);
+  if (coordinators.length !== 1) errors.push(`$.agents: expected exactly one agent with "reportsTo": null, found ${coordinators.length}`);
+  return errors;
+}
+
+function loadRoster(file = DEFAULT_ROSTER_FILE) {
+  const roster = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateRoster(roster);
+  if (errors.length > 0) throw new Error(`${file} is not a valid roster:\n  ` + errors.join('\n  '));
+  return roster;
+}
+
+function coordinatorOf(roster) {
+  return roster.agents.find(a => a.reportsTo === null);
+}
+
+// Cron job name prefixes of the rituals that must not be missed.
+function criticalRituals(roster) {
+  return roster.agents.flatMap(a => a.rituals.filter(r => r.critical && r.job).map(r => r.job));
+}
+
+// The roster as published in dashboard-data.json, with doc paths turned into
+// links under `workspaceDir`.
+function toJsonRoster(roster, workspaceDir) {
+  return {
+    ...(roster.leader ? { leader: roster.leader } : {}),
+    agents: roster.agents.map(({ docs, ...a }) => ({
+      ...a,
+      docs: docs.map(doc => ({
+        label: doc,
+        href: 'file://' + path.join(workspaceDir, a.workspace, doc).split(path.sep).map(encodeURIComponent).join('/'),
+      })),
+    })),
+  };
+}
+
+module.exports = { DEFAULT_ROSTER_FILE, validateRoster, loadRoster, coordinatorOf, criticalRituals, toJsonRoster };
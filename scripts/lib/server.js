@@ -0,0 +1,234 @@
+/**
+ * server.js
+ * Long-running local mode: serves index.html plus dashboard-data.json from
+ * memory, watches the session stores under <openclaw>/agents/<name>/sessions/
+ * and pushes changed sections to the browser over Server-Sent Events.
+ *
+ *   GET /                     index.html
+ *   GET /avatars/<file>.png   avatars
+ *   GET /dashboard-data.json  latest snapshot (the polling fallback)
+ *   GET /sessions/<agent>/<sessionId>.json  parsed transcript for the drill-down
+ *   GET /events               SSE: `snapshot` on connect, then `update` patches
+ *   /api/...                  operator actions, with `control` (see control.js)
+ *
+ * Requests must name the server by its loopback address in Host (see
+ * control.js), which keeps DNS-rebinding pages out.
+ *
+ * An update carries updatedAt/updatedAtFormatted plus only the top-level
+ * sections whose content changed; `agentTasks` is further narrowed to the
+ * agents whose list changed. One session index (see session-index.js) lives
+ * as long as the server, so a refresh only reads what changed since the last.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { collectDashboard, collectSessionDetail, toDashboardData } = require('./collect');
+const { createControl, hostRefusal } = require('./control');
+const { createSessionIndex } = require('./session-index');
+
+const SITE_DIR = path.join(__dirname, '..', '..');
+const STATIC_FILES = { '/': 'index.html', '/index.html': 'index.html' };
+const MIME = { '.html': 'text/html; charset=utf-8', '.png': 'image/png', '.json': 'application/json' };
+
+const HEARTBEAT_MS = 25000;
+const DEBOUNCE_MS = 300;
+// CLI-backed sections (cron list, session counts) have no files to watch.
+const FULL_REFRESH_MS = 60000;
+
+// ── Diffing ──────────────────────────────────────────────────────────────────
+
+const SECTIONS = ['roster', 'stats', 'cronJobs', 'recentSessions', 'activeSessions', 'agentTasks', 'spend', 'sessions', 'lineage', 'trends', 'alerts'];
+
+function diffDashboardData(prev, next) {
+  const patch = {};
+  for (const key of SECTIONS) {
+    if (key === 'agentTasks') {
+      const changed = {};
+      for (const [agent, tasks] of Object.entries(next.agentTasks)) {
+        if (JSON.stringify(tasks) !== JSON.stringify(prev.agentTasks[agent])) changed[agent] = tasks;
+      }
+      if (Object.keys(changed).length > 0) patch.agentTasks = changed;
+    } else if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+      patch[key] = next[key];
+    }
+  }
+  if (Object.keys(patch).length === 0) return null;
+  return { updatedAt: next.updatedAt, updatedAtFormatted: next.updatedAtFormatted, ...patch };
+}
+
+// ── Watching ─────────────────────────────────────────────────────────────────
+
+// One non-recursive watcher per sessions/ directory; both sessions.json and
+// the <sessionId>.jsonl transcripts live there.
+function watchSessionDirs(root, agentNames, onChange) {
+  const watchers = [];
+  for (const agentName of agentNames) {
+    const dir = path.join(root, 'agents', agentName, 'sessions');
+    try {
+      watchers.push(fs.watch(dir, (event, file) => {
+        if (!file || file === 'sessions.json' || file.endsWith('.jsonl')) onChange(agentName, file);
+      }));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`⚠️  cannot watch ${dir}: ${e.message}`);
+    }
+  }
+  return () => watchers.forEach(w => w.close());
+}
+
+// ── Server ───────────────────────────────────────────────────────────────────
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// `onCollect(c)` runs on every fresh collection before it is shaped, e.g. to
+// record history or evaluate alerts; `redact(c)` then applies the output
+// profile (see redact.js). Transcripts are only served with `transcripts`.
+// `control` ({ token?, auditFile, bin?, env? }) turns on the operator actions.
+// The server listens once the first collection is in; `ready` settles then.
+function startServer({ source, roster, prices, windowDays, index = createSessionIndex(source), onCollect = () => {}, redact = c => c, transcripts = true, control = null, port = 4173, host = '127.0.0.1', log = console.log }) {
+  const clients = new Set();
+  const agentNames = roster.agents.map(a => a.name);
+  let data = null;
+  let pending = null;
+  let busy = null;     // collection in progress
+  let queued = null;   // reason for a refresh asked for during it
+
+  async function collect() {
+    const c = await collectDashboard(source, { roster, prices, windowDays, index });
+    onCollect(c);
+    return toDashboardData(redact(c));
+  }
+
+  // Collections share the index, so they run one at a time; a refresh asked
+  // for meanwhile runs once the current one is done.
+  function refresh(reason) {
+    if (busy) {
+      queued = reason;
+      return busy;
+    }
+    busy = collect().then(next => {
+      const patch = data && diffDashboardData(data, next);
+      data = next;
+      for (const w of source.warnings.splice(0)) console.warn(`⚠️  ${w}`);
+      if (!patch) return;
+      log(`↻ ${reason}: ${Object.keys(patch).filter(k => !k.startsWith('updatedAt')).join(', ')} → ${clients.size} client(s)`);
+      for (const res of clients) sendEvent(res, 'update', patch);
+    }).finally(() => {
+      busy = null;
+      if (queued !== null) {
+        const again = queued;
+        queued = null;
+        refreshLater(again, 0);
+      }
+    });
+    return busy;
+  }
+
+  function refreshLater(reason, delayMs) {
+    clearTimeout(pending);
+    pending = setTimeout(() => refresh(reason).catch(e => log(`⚠️  refresh failed: ${e.message}`)), delayMs);
+  }
+
+  function scheduleRefresh(reason) {
+    refreshLater(reason, DEBOUNCE_MS);
+  }
+
+  const stopWatching = watchSessionDirs(source.root, agentNames, (agentName, file) => {
+    scheduleRefresh(`${agentName}/${file || 'sessions'}`);
+  });
+  const fullRefresh = setInterval(() => refreshLater('periodic', 0), FULL_REFRESH_MS);
+  const controls = control && createControl({
+    ...control,
+    source,
+    getData: () => data,
+    onAction: summary => {
+      log(`🔧 ${summary}`);
+      scheduleRefresh(summary);
+    },
+  });
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  function serveFile(res, rel) {
+    fs.readFile(path.join(SITE_DIR, rel), (err, body) => {
+      if (err) { res.writeHead(404); res.end('Not found'); return; }
+      res.writeHead(200, { 'Content-Type': MIME[path.extname(rel)] || 'application/octet-stream' });
+      res.end(body);
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    // Every route serves private data; the control API audits its own refusals
+    const badHost = !(controls && pathname.startsWith('/api/')) && hostRefusal(req);
+    if (badHost) {
+      res.writeHead(403);
+      res.end(badHost);
+      return;
+    }
+    if (pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write('retry: 5000\n\n');
+      sendEvent(res, 'snapshot', data);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    if (pathname === '/dashboard-data.json') {
+      res.writeHead(200, { 'Content-Type': MIME['.json'], 'Cache-Control': 'no-cache' });
+      res.end(JSON.stringify(data));
+      return;
+    }
+    const sessionMatch = pathname.match(/^\/sessions\/([\w-]+)\/([\w-]+)\.json$/);
+    if (sessionMatch && transcripts && agentNames.includes(sessionMatch[1])) {
+      const detail = collectSessionDetail(source, sessionMatch[1], sessionMatch[2]);
+      if (!detail) { res.writeHead(404); res.end('Not found'); return; }
+      res.writeHead(200, { 'Content-Type': MIME['.json'], 'Cache-Control': 'no-cache' });
+      res.end(JSON.stringify(detail));
+      return;
+    }
+    if (controls && pathname.startsWith('/api/')) {
+      controls.handle(req, res, pathname).catch(e => {
+        log(`⚠️  control: ${e.message}`);
+        if (!res.headersSent) { res.writeHead(500); res.end(); }
+      });
+      return;
+    }
+    if (STATIC_FILES[pathname]) return serveFile(res, STATIC_FILES[pathname]);
+    if (/^\/avatars\/[\w-]+\.png$/.test(pathname)) return serveFile(res, pathname.slice(1));
+
+    res.writeHead(404);
+    res.end('Not found');
+  });
+
+  const ready = refresh('start').then(() => new Promise(resolve => {
+    server.listen(port, host, () => {
+      log(`✅ Serving live dashboard on http://${host}:${server.address().port} (${source.kind} source)`);
+      if (controls) log(`🔐 Controls on, audit log ${controls.auditFile}; open http://${host}:${server.address().port}/#control=${controls.token}`);
+      resolve();
+    });
+  }));
+
+  return {
+    server,
+    ready,
+    refresh,
+    close() {
+      stopWatching();
+      clearInterval(fullRefresh);
+      clearInterval(heartbeat);
+      clearTimeout(pending);
+      for (const res of clients) res.end();
+      server.close();
+    },
+  };
+}
+
+module.exports = { diffDashboardData, startServer };
@@ -0,0 +1,266 @@
+/**
+ * session-index.js
+ * One pass over the session stores per collection. Each agent's
+ * sessions.json is read once (and again only when it changes), and every
+ * transcript a collector asks for is folded line by line into a summary:
+ *
+ *   startedAt, endedAt   first and last entry times, as parseTranscript() has them
+ *   task                 first line of the first user message
+ *   entries              the tail sessionState() reads (see transcript.js)
+ *   spawns               accepted sessions_spawn calls (see lineage.js)
+ *   usage                per-reply token records (see usage.js)
+ *
+ * Summaries are cached by agent/sessionId with the transcript's size and
+ * mtime. A transcript that grew is read on from where the last read
+ * stopped, CHUNK_BYTES at a time, so a refresh costs what was appended since
+ * the last one rather than the whole history. With a cache file (`--cache`)
+ * they also survive restarts:
+ *
+ *   { "version": 1, "transcripts": { "<agent>/<sessionId>":
+ *       { "size", "mtimeMs", "offset", "head", "summary" } } }
+ *
+ * `head` holds the first bytes read; when they change the transcript was
+ * rewritten and is summarized again from the start. Entries a collection
+ * didn't ask for are dropped from the cache.
+ */
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { SPAWN_TOOL, firstLine, spawnRecord } = require('./lineage');
+const { readEntry } = require('./transcript');
+const { readUsage } = require('./usage');
+
+const CACHE_VERSION = 1;
+const CHUNK_BYTES = 1024 * 1024;
+const HEAD_BYTES = 64;
+// Entries kept after the last user or assistant message; sessionState()
+// only reads the newest one past that anchor.
+const TAIL_MAX = 20;
+
+// ── Summaries ────────────────────────────────────────────────────────────────
+
+function createSummary() {
+  return { startedAt: null, endedAt: null, badLines: 0, task: null, turn: null, entries: [], calls: {}, spawns: [], usage: [] };
+}
+
+// What sessionState() reads of an entry
+function tailEntry(e) {
+  if (e.kind !== 'assistant') return { kind: e.kind, ts: e.ts };
+  return {
+    kind: 'assistant',
+    ts: e.ts,
+    stopReason: e.stopReason,
+    error: e.error,
+    parts: e.parts.filter(p => p.type === 'toolCall').map(p => ({ type: 'toolCall', id: p.id, name: p.name, result: null })),
+  };
+}
+
+function firstText(content) {
+  if (typeof content === 'string') return content;
+  return (Array.isArray(content) && content.find(c => c.type === 'text')?.text) || '';
+}
+
+// Folds one transcript line into summary `s`, reading it the way
+// parseTranscript() does. `calls` holds tool calls still awaiting a result.
+function addLine(s, line) {
+  if (!line.trim()) return;
+  let d;
+  try { d = JSON.parse(line); } catch { s.badLines++; return; }
+  const e = readEntry(d);
+
+  if (e.kind === 'tool_result' && Object.hasOwn(s.calls, e.callId)) {
+    const call = s.calls[e.callId];
+    delete s.calls[e.callId];
+    const part = s.entries[0]?.parts?.find(p => p.id === e.callId && !p.result);
+    if (part) part.result = { ts: e.result.ts, isError: e.result.isError };
+    const spawn = call.name === SPAWN_TOOL && !e.result.isError ? spawnRecord(call, e.result.text) : null;
+    if (spawn) s.spawns.push(spawn);
+    return;
+  }
+
+  const entry = e.kind === 'tool_result' ? { kind: 'tool_result', ts: e.result.ts } : tailEntry(e);
+  if (entry.ts !== null) {
+    s.startedAt = Math.min(s.startedAt ?? entry.ts, entry.ts);
+    s.endedAt = Math.max(s.endedAt ?? entry.ts, entry.ts);
+  }
+  if (e.kind === 'user') {
+    if (s.task === null) s.task = firstLine(firstText(d.message.content));
+    s.turn = firstLine(e.text) || null;
+    s.entries = [entry];
+  } else if (e.kind === 'assistant') {
+    for (const p of e.parts) {
+      if (p.type !== 'toolCall') continue;
+      s.calls[p.id] = { name: p.name, turn: s.turn, ts: e.ts, ...(p.name === SPAWN_TOOL ? { args: p.args.text } : {}) };
+    }
+    const m = d.message;
+    const usage = readUsage(m.usage);
+    if (usage) s.usage.push({ ts: typeof m.timestamp === 'number' ? m.timestamp : Date.parse(d.timestamp), model: m.model || null, ...usage });
+    s.entries = [entry];
+  } else {
+    s.entries.push(entry);
+    if (s.entries.length > TAIL_MAX) s.entries.splice(1, 1);
+  }
+}
+
+// Summary of a transcript already read into memory
+function summarizeTranscript(raw) {
+  const s = createSummary();
+  for (const line of raw.split('\n')) addLine(s, line);
+  return s;
+}
+
+// ── Cache ────────────────────────────────────────────────────────────────────
+
+function loadCache(file, warnings) {
+  if (!file) return new Map();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return parsed.version === CACHE_VERSION ? new Map(Object.entries(parsed.transcripts || {})) : new Map();
+  } catch (e) {
+    if (e.code !== 'ENOENT') warnings.push(`session cache ${file}: ${e.message}`);
+    return new Map();
+  }
+}
+
+// ── Index ────────────────────────────────────────────────────────────────────
+
+// `file` persists summaries between runs; `minIntervalMs` throttles writing
+// it for the long-running server.
+function createSessionIndex(source, { file = null, minIntervalMs = 0 } = {}) {
+  const cache = loadCache(file, source.warnings);  // "<agent>/<sessionId>" -> cache entry
+  const stores = new Map();  // agentName -> { size, mtimeMs, sessions }
+  let pass = null;
+  let savedAt = 0;
+
+  function readStore(agentName) {
+    const st = source.statSessionFile(agentName);
+    const prev = stores.get(agentName);
+    if (prev && st && prev.size === st.size && prev.mtimeMs === st.mtimeMs) return prev.sessions;
+    const sessions = source.readAgentSessions(agentName);
+    stores.set(agentName, { ...st, sessions });
+    pass.stats.storesRead++;
+    return sessions;
+  }
+
+  // Brings a cache entry up to date with the transcript on disk; null when
+  // there is no transcript.
+  function update(agentName, sessionId, entry) {
+    const { stats } = pass;
+    const st = source.statSessionFile(agentName, sessionId);
+    if (!st) return null;
+    if (entry && entry.size === st.size && entry.mtimeMs === st.mtimeMs) {
+      stats.cached++;
+      return entry;
+    }
+    if (entry) {
+      const head = Buffer.from(entry.head, 'base64');
+      const now = st.size < entry.offset ? null : source.readTranscriptBytes(agentName, sessionId, 0, head.length);
+      if (!now || !now.equals(head)) entry = null;
+    }
+    if (entry) stats.appended++;
+    else {
+      entry = { size: 0, mtimeMs: 0, offset: 0, head: '', summary: createSummary() };
+      stats.full++;
+    }
+
+    // Whole lines only; a partial last line waits for the rest unless it
+    // already parses (a final line without a newline).
+    let pos = entry.offset;
+    let rest = Buffer.alloc(0);
+    while (pos < st.size) {
+      const chunk = source.readTranscriptBytes(agentName, sessionId, pos, Math.min(CHUNK_BYTES, st.size - pos));
+      if (chunk === null) return null;
+      if (chunk.length === 0) break;
+      if (pos === 0) entry.head = chunk.subarray(0, HEAD_BYTES).toString('base64');
+      pos += chunk.length;
+      stats.bytes += chunk.length;
+
+      const buf = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+      let from = 0;
+      for (let nl = buf.indexOf(10); nl !== -1; nl = buf.indexOf(10, from)) {
+        addLine(entry.summary, buf.toString('utf8', from, nl));
+        from = nl + 1;
+      }
+      rest = buf.subarray(from);
+      entry.offset = pos - rest.length;
+    }
+    if (rest.length > 0) {
+      const line = rest.toString('utf8');
+      let complete = true;
+      try { JSON.parse(line); } catch { complete = false; }
+      if (complete) {
+        addLine(entry.summary, line);
+        entry.offset += rest.length;
+      }
+    }
+    entry.size = st.size;
+    entry.mtimeMs = st.mtimeMs;
+    return entry;
+  }
+
+  return {
+    file,
+
+    // Starts a collection over `agentNames`' stores. Usage records older
+    // than `since` are dropped from the summaries as they are handed out.
+    begin(agentNames, { since = -Infinity } = {}) {
+      if (pass) {
+        for (const id of cache.keys()) if (!pass.summaries.has(id)) cache.delete(id);
+      }
+      pass = {
+        since,
+        summaries: new Map(),
+        stats: { stores: agentNames.length, storesRead: 0, transcripts: 0, cached: 0, appended: 0, full: 0, bytes: 0, readMs: 0 },
+      };
+      const t0 = performance.now();
+      for (const agentName of agentNames) readStore(agentName);
+      pass.stats.readMs += performance.now() - t0;
+    },
+
+    // sessions.json of an agent, as read by begin()
+    store: agentName => stores.get(agentName)?.sessions || {},
+
+    // Summary of a transcript (see above), or null when it doesn't exist
+    summary(agentName, sessionId) {
+      const id = `${agentName}/${sessionId}`;
+      if (pass.summaries.has(id)) return pass.summaries.get(id);
+      const t0 = performance.now();
+      const entry = update(agentName, sessionId, cache.get(id));
+      pass.stats.readMs += performance.now() - t0;
+
+      if (entry) {
+        cache.set(id, entry);
+        entry.summary.usage = entry.summary.usage.filter(r => r.ts >= pass.since);
+        pass.stats.transcripts++;
+      } else {
+        cache.delete(id);
+      }
+      pass.summaries.set(id, entry ? entry.summary : null);
+      return entry ? entry.summary : null;
+    },
+
+    // Counts for the current collection's timing report
+    stats: () => ({ ...pass.stats, readMs: Math.round(pass.stats.readMs) }),
+
+    // Writes the entries this collection used to `file`; returns false when
+    // there is no file or the write was throttled.
+    save() {
+      if (!file || Date.now() - savedAt < minIntervalMs) return false;
+      const transcripts = {};
+      for (const [id, entry] of cache) if (!pass || pass.summaries.has(id)) transcripts[id] = entry;
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ version: CACHE_VERSION, transcripts }) + '\n');
+        fs.renameSync(tmp, file);
+      } catch (e) {
+        source.warnings.push(`session cache ${file}: ${e.message}`);
+        return false;
+      }
+      savedAt = Date.now();
+      return true;
+    },
+  };
+}
+
+module.exports = { createSessionIndex, summarizeTranscript };
@@ -0,0 +1,67 @@
+/**
+ * template.js
+ * Minimal slot templates for the generated HTML pages (scripts/templates/).
+ *
+ *   {{name}}    text, HTML-escaped
+ *   {{{name}}}  trusted HTML from a component; alone on a line it is indented
+ *               to that line's column, and dropped with the line when empty
+ *
+ * Rendering is strict in both directions: a slot without a value and a value
+ * without a slot are errors, so a template edit can never silently drop or
+ * duplicate a section of the page.
+ */
+const fs = require('fs');
+const path = require('path');
+const { escHtml } = require('./format');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+const SLOT = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([\w.-]+)\s*\}\}/g;
+const BLOCK_LINE = /^([ \t]*)\{\{\{\s*([\w.-]+)\s*\}\}\}[ \t]*$/;
+
+function loadTemplate(name) {
+  return { name, source: fs.readFileSync(path.join(TEMPLATE_DIR, name), 'utf8') };
+}
+
+function renderTemplate({ name, source }, values) {
+  const used = new Set();
+  const missing = [];
+  const value = (slot, raw) => {
+    used.add(slot);
+    if (!Object.prototype.hasOwnProperty.call(values, slot)) {
+      missing.push(slot);
+      return '';
+    }
+    const v = values[slot];
+    if (typeof v !== 'string' && typeof v !== 'number') throw new Error(`${name}: slot "${slot}" got ${v === null ? 'null' : typeof v}`);
+    return raw ? String(v) : escHtml(v);
+  };
+
+  const out = [];
+  for (const line of source.split('\n')) {
+    const block = line.match(BLOCK_LINE);
+    if (block) {
+      const html = value(block[2], true).replace(/\s+$/, '');
+      if (html) out.push(...html.split('\n').map(l => l.replace(/[ \t]+$/, '')).map(l => (l ? block[1] + l : l)));
+      continue;
+    }
+    out.push(line.replace(SLOT, (m, raw, text) => value(raw || text, Boolean(raw))).replace(/[ \t]+$/, ''));
+  }
+
+  const unused = Object.keys(values).filter(k => !used.has(k));
+  if (missing.length > 0 || unused.length > 0) {
+    throw new Error(`${name}: `
+      + [missing.length && `no value for ${missing.map(s => `{{${s}}}`).join(', ')}`,
+        unused.length && `no slot for ${unused.join(', ')}`].filter(Boolean).join('; '));
+  }
+  return out.join('\n');
+}
+
+// Writes next to the target and renames, so readers never see half a page.
+function writeFileAtomic(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { TEMPLATE_DIR, loadTemplate, renderTemplate, writeFileAtomic };
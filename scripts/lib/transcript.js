@@ -0,0 +1,158 @@
+/**
+ * transcript.js
+ * Parses a session transcript (<sessionId>.jsonl) into the entry list the
+ * session drill-down view renders. Tool results are attached to the tool call
+ * that produced them; results with no matching call become their own entry.
+ *
+ * Entry kinds: session, model_change, user, assistant, tool_result, other.
+ * Assistant entries hold `parts`: text, thinking and toolCall (with `result`).
+ * sessionState() reads the tail to tell how the session is doing. It only
+ * looks at entries since the last user or assistant message, which is all
+ * session-index.js keeps of a transcript.
+ */
+const { formatDuration } = require('./format');
+
+// Long tool outputs are clipped so one detail file can't grow without bound.
+const MAX_TEXT = 20000;
+
+function clip(text) {
+  const s = typeof text === 'string' ? text : JSON.stringify(text, null, 2);
+  if (s === undefined) return { text: '' };
+  return s.length > MAX_TEXT ? { text: s.slice(0, MAX_TEXT), truncated: s.length } : { text: s };
+}
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(c => (c.type === 'text' ? c.text : c.type === 'image' ? '[image]' : '')).filter(Boolean).join('\n');
+}
+
+function entryTime(d) {
+  const ts = d.message?.timestamp || d.timestamp;
+  const ms = typeof ts === 'number' ? ts : Date.parse(ts);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// One parsed transcript line as an entry. Tool results come back as
+// { kind: 'tool_result', callId, name, result } for the caller to attach.
+function readEntry(d) {
+  const ts = entryTime(d);
+  if (d.type === 'session') return { kind: 'session', ts, cwd: d.cwd || null };
+  if (d.type === 'model_change') return { kind: 'model_change', ts, model: d.modelId || d.model || '?', provider: d.provider || null };
+  if (d.type !== 'message' || !d.message) return { kind: 'other', ts, label: d.type || 'entry', text: '' };
+
+  const m = d.message;
+  if (m.role === 'user') return { kind: 'user', ts, ...clip(contentText(m.content)) };
+  if (m.role === 'assistant') {
+    const parts = [];
+    for (const c of Array.isArray(m.content) ? m.content : [{ type: 'text', text: contentText(m.content) }]) {
+      if (c.type === 'text' && c.text) parts.push({ type: 'text', ...clip(c.text) });
+      else if (c.type === 'thinking' && c.thinking) parts.push({ type: 'thinking', ...clip(c.thinking) });
+      else if (c.type === 'toolCall') parts.push({ type: 'toolCall', id: c.id, name: c.name, args: clip(c.arguments ?? {}), result: null });
+    }
+    return {
+      kind: 'assistant',
+      ts,
+      model: m.model || null,
+      stopReason: m.stopReason || null,
+      error: m.errorMessage || null,
+      parts,
+    };
+  }
+  if (m.role === 'toolResult') {
+    return { kind: 'tool_result', callId: m.toolCallId, name: m.toolName || '?', result: { ts, isError: !!m.isError, ...clip(contentText(m.content)) } };
+  }
+  return { kind: 'other', ts, label: m.role || 'message', ...clip(contentText(m.content)) };
+}
+
+function parseTranscript(raw) {
+  const entries = [];
+  const calls = new Map();  // toolCallId -> toolCall part awaiting its result
+  let badLines = 0;
+
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    let d;
+    try { d = JSON.parse(line); } catch { badLines++; continue; }
+    const e = readEntry(d);
+
+    if (e.kind === 'assistant') {
+      for (const part of e.parts) if (part.type === 'toolCall') calls.set(part.id, part);
+      entries.push(e);
+    } else if (e.kind === 'tool_result') {
+      const call = calls.get(e.callId);
+      if (call && !call.result) call.result = e.result;
+      else entries.push({ kind: 'tool_result', name: e.name, ...e.result });
+    } else {
+      entries.push(e);
+    }
+  }
+
+  const times = entries.map(e => e.ts).filter(t => t !== null);
+  return {
+    startedAt: times.length ? Math.min(...times) : null,
+    endedAt: times.length ? Math.max(...times) : null,
+    badLines,
+    entries,
+  };
+}
+
+// ── Session state ────────────────────────────────────────────────────────────
+
+// No model output for this long after a message or tool result means the run died
+const RESPONDING_STALE_MS = 10 * 60000;
+// Tools can legitimately run for a while before they answer
+const TOOL_STALE_MS = 60 * 60000;
+
+const ACTIVE_STATES = ['running', 'waiting'];
+const FAILED_STATES = ['errored', 'aborted', 'stale'];
+
+// Latest sign of life of a session, or null: its last entry, results
+// attached to the last tool calls, or `updatedAt` from sessions.json.
+function lastActivity(parsed, updatedAt = null) {
+  const last = parsed?.entries.at(-1);
+  const resultTimes = last?.parts ? last.parts.map(p => p.result?.ts ?? null).filter(t => t !== null) : [];
+  return Math.max(parsed?.endedAt ?? 0, updatedAt ?? 0, ...resultTimes) || null;
+}
+
+// { state, reason } from the tail of a parsed transcript (null when there is
+// none). States: running (the model's turn), waiting (on a tool call),
+// completed, errored, aborted, stale (open but silent for too long).
+// Idle time runs from lastActivity().
+function sessionState(parsed, nowMs, updatedAt = null) {
+  const entries = parsed ? parsed.entries : [];
+  const last = entries[entries.length - 1];
+  const lastAt = lastActivity(parsed, updatedAt);
+  const idle = lastAt === null ? Infinity : nowMs - lastAt;
+  const quiet = () => `no activity for ${formatDuration(idle)}`;
+
+  if (!last) {
+    return idle > RESPONDING_STALE_MS
+      ? { state: 'stale', reason: parsed ? `empty transcript, ${quiet()}` : 'no transcript to confirm it finished' }
+      : { state: 'running', reason: 'starting' };
+  }
+  // A failed reply ends the run unless someone wrote to it afterwards
+  const i = entries.findLastIndex(e => e.kind === 'assistant');
+  const failed = i >= 0 && !entries.slice(i + 1).some(e => e.kind === 'user') ? entries[i] : null;
+  if (failed?.stopReason === 'error') return { state: 'errored', reason: failed.error || 'the model returned an error' };
+  if (failed?.stopReason === 'aborted') return { state: 'aborted', reason: failed.error || 'the run was aborted' };
+  if (last.kind === 'assistant') {
+    if (last.stopReason !== 'toolUse') {
+      const took = parsed.startedAt !== null && last.ts !== null ? ` after ${formatDuration(last.ts - parsed.startedAt)}` : '';
+      return { state: 'completed', reason: `final reply${took}` };
+    }
+    const pending = [...new Set(last.parts.filter(p => p.type === 'toolCall' && !p.result).map(p => p.name))];
+    if (pending.length > 0) {
+      return idle > TOOL_STALE_MS
+        ? { state: 'stale', reason: `no result from ${pending.join(', ')}, ${quiet()}` }
+        : { state: 'waiting', reason: `waiting on ${pending.join(', ')} for ${formatDuration(idle)}` };
+    }
+  }
+  // The model owes a reply: to a message, or to the tool results it got
+  const after = last.kind === 'user' ? 'the last message' : 'the last tool result';
+  return idle > RESPONDING_STALE_MS
+    ? { state: 'stale', reason: `${quiet()} since ${after}` }
+    : { state: 'running', reason: `working on ${after}` };
+}
+
+module.exports = { ACTIVE_STATES, FAILED_STATES, readEntry, parseTranscript, lastActivity, sessionState };
@@ -0,0 +1,177 @@
+/**
+ * usage.js
+ * Token and cost accounting. Sums the usage records in session transcripts
+ * (gathered by session-index.js, falling back to the counters in
+ * sessions.json when a transcript is missing), prices them per model and
+ * groups the totals by agent, model and cron job.
+ *
+ * Prices are USD per million tokens. Override or extend them with
+ * `--prices <file.json>` using the same shape as DEFAULT_PRICES; a model
+ * matches the longest key it starts with.
+ */
+const fs = require('fs');
+const { TZ } = require('./format');
+
+const DEFAULT_PRICES = {
+  'claude-opus-4-6':   { input: 5,  output: 25, cacheRead: 0.5,  cacheWrite: 6.25 },
+  'claude-opus-4-5':   { input: 5,  output: 25, cacheRead: 0.5,  cacheWrite: 6.25 },
+  'claude-opus-4':     { input: 15, output: 75, cacheRead: 1.5,  cacheWrite: 18.75 },
+  'claude-sonnet-4':   { input: 3,  output: 15, cacheRead: 0.3,  cacheWrite: 3.75 },
+  'claude-haiku-4':    { input: 1,  output: 5,  cacheRead: 0.1,  cacheWrite: 1.25 },
+  'claude-3-5-haiku':  { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+};
+
+const WINDOW_DAYS = 7;
+const TOP_CONSUMERS = 8;
+const DAY_MS = 86400000;
+
+function loadPrices(file) {
+  if (!file) return DEFAULT_PRICES;
+  return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+function priceFor(prices, model) {
+  const key = Object.keys(prices)
+    .filter(k => model && model.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+function emptyTotals() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
+}
+
+function addTotals(into, t) {
+  into.input += t.input;
+  into.output += t.output;
+  into.cacheRead += t.cacheRead;
+  into.cacheWrite += t.cacheWrite;
+  into.cost += t.cost;
+  return into;
+}
+
+function roundCost(t) {
+  return { ...t, cost: Math.round(t.cost * 10000) / 10000 };
+}
+
+function dayKey(ms) {
+  return new Date(ms).toLocaleDateString('en-CA', { timeZone: TZ });
+}
+
+// ── Usage records ────────────────────────────────────────────────────────────
+
+// Providers disagree on field names; accept the common spellings.
+function readUsage(u) {
+  if (!u) return null;
+  const n = v => (Number.isFinite(v) ? v : 0);
+  return {
+    input: n(u.input ?? u.inputTokens ?? u.input_tokens),
+    output: n(u.output ?? u.outputTokens ?? u.output_tokens),
+    cacheRead: n(u.cacheRead ?? u.cacheReadTokens ?? u.cache_read_input_tokens),
+    cacheWrite: n(u.cacheWrite ?? u.cacheWriteTokens ?? u.cache_creation_input_tokens),
+  };
+}
+
+// sessions.json only has lifetime counters, booked at the last update.
+function usageRecordFromMeta(meta) {
+  const usage = readUsage(meta);
+  if (!usage || usage.input + usage.output + usage.cacheRead + usage.cacheWrite === 0) return [];
+  return [{ ts: meta.updatedAt || 0, model: meta.model || '?', ...usage }];
+}
+
+// ── Aggregation ──────────────────────────────────────────────────────────────
+
+// `index` is the collection's session index (see session-index.js);
+// `describe(agentName, key, meta)` names non-cron sessions in topConsumers.
+function collectUsage(index, { agentNames, cronJobs, nowMs, prices = DEFAULT_PRICES, describe = (a, key) => key }) {
+  const since = nowMs - WINDOW_DAYS * DAY_MS;
+  const jobNames = new Map(cronJobs.map(j => [j.id, j.name || j.id]));
+  const today = dayKey(nowMs);
+
+  const week = emptyTotals();
+  const todayTotals = emptyTotals();
+  const daily = new Map();
+  for (let i = WINDOW_DAYS - 1; i >= 0; i--) daily.set(dayKey(nowMs - i * DAY_MS), emptyTotals());
+  const byAgent = {};
+  const byModel = {};
+  const byCronJob = {};
+  const consumers = new Map();
+  const unpriced = new Set();
+
+  for (const agentName of agentNames) {
+    const seen = new Set();  // cron aliases share their run's sessionId
+    for (const [key, meta] of Object.entries(index.store(agentName))) {
+      if ((meta.updatedAt || 0) < since || !meta.sessionId || seen.has(meta.sessionId)) continue;
+      seen.add(meta.sessionId);
+
+      const summary = index.summary(agentName, meta.sessionId);
+      const records = summary
+        ? summary.usage.map(r => ({ ...r, model: r.model || meta.model || '?' }))
+        : usageRecordFromMeta(meta);
+
+      const cronMatch = key.match(/:cron:([^:]+)/);
+      const jobName = cronMatch ? jobNames.get(cronMatch[1]) || cronMatch[1].slice(0, 8) : null;
+      const consumerKey = jobName ? `cron:${jobName}` : `session:${agentName}:${meta.sessionId}`;
+
+      for (const r of records) {
+        if (!(r.ts >= since)) continue;
+        const price = priceFor(prices, r.model);
+        if (!price) unpriced.add(r.model);
+        const t = {
+          input: r.input,
+          output: r.output,
+          cacheRead: r.cacheRead,
+          cacheWrite: r.cacheWrite,
+          cost: price
+            ? (r.input * price.input + r.output * price.output + r.cacheRead * price.cacheRead + r.cacheWrite * price.cacheWrite) / 1e6
+            : 0,
+        };
+
+        addTotals(week, t);
+        const day = dayKey(r.ts);
+        if (day === today) addTotals(todayTotals, t);
+        if (daily.has(day)) addTotals(daily.get(day), t);
+        addTotals(byAgent[agentName] ||= emptyTotals(), t);
+        addTotals(byModel[r.model] ||= emptyTotals(), t);
+        if (jobName) addTotals(byCronJob[jobName] ||= emptyTotals(), t);
+
+        if (!consumers.has(consumerKey)) {
+          consumers.set(consumerKey, {
+            kind: jobName ? 'cron' : 'session',
+            label: jobName || describe(agentName, key, meta),
+            agent: agentName,
+            models: {},
+            ...emptyTotals(),
+          });
+        }
+        const c = consumers.get(consumerKey);
+        addTotals(c, t);
+        c.models[r.model] = (c.models[r.model] || 0) + t.cost;
+      }
+    }
+  }
+
+  const roundAll = obj => Object.fromEntries(Object.entries(obj).map(([k, t]) => [k, roundCost(t)]));
+  const topConsumers = [...consumers.values()]
+    .sort((a, b) => b.cost - a.cost || (b.input + b.output) - (a.input + a.output))
+    .slice(0, TOP_CONSUMERS)
+    .map(({ models, ...c }) => ({
+      ...roundCost(c),
+      model: Object.entries(models).sort((a, b) => b[1] - a[1])[0]?.[0] || '?',
+    }));
+
+  return {
+    currency: 'USD',
+    windowDays: WINDOW_DAYS,
+    today: roundCost(todayTotals),
+    week: roundCost(week),
+    daily: [...daily.entries()].map(([date, t]) => ({ date, ...roundCost(t) })),
+    byAgent: roundAll(byAgent),
+    byModel: roundAll(byModel),
+    byCronJob: roundAll(byCronJob),
+    topConsumers,
+    unpricedModels: [...unpriced],
+  };
+}
+
+module.exports = { DEFAULT_PRICES, WINDOW_DAYS, loadPrices, priceFor, readUsage, collectUsage };
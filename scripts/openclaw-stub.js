@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * openclaw-stub.js
+ * Stand-in for the openclaw CLI that answers from a fixture directory, so the
+ * `cli` data source can be exercised on a machine without OpenClaw installed.
+ * Run: OPENCLAW_BIN=scripts/openclaw-stub.js \
+ *      OPENCLAW_FIXTURE=scripts/fixtures/sample \
+ *      node scripts/generate-dashboard.js --json
+ *
+ * The operator actions (cron run|enable|disable <jobId>, sessions abort <key>)
+ * check that their target exists and report success without changing the
+ * fixture, so the control API can be exercised against it.
+ */
+const path = require('path');
+const { createDataSource } = require('./lib/data-sources');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'sample');
+
+const args = process.argv.slice(2);
+const source = createDataSource('fixture', { dir: path.resolve(process.env.OPENCLAW_FIXTURE || DEFAULT_FIXTURE) });
+
+function fail(msg) {
+  process.stderr.write(`openclaw-stub: ${msg}\n`);
+  process.exit(1);
+}
+
+function print(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+if (!args.includes('--json')) fail('only --json output is supported');
+
+const [cmd, sub, target] = args.filter(a => a !== '--json');
+
+// Keys are agent:<name>:..., so the key names the store to look in
+function findSession(key) {
+  const agentName = key.split(':')[1];
+  return agentName ? source.readAgentSessions(agentName)[key] || null : null;
+}
+
+async function main() {
+  if (cmd === 'cron' && sub === 'list') {
+    print({ jobs: await source.listCronJobs() });
+  } else if (cmd === 'cron' && ['run', 'enable', 'disable'].includes(sub)) {
+    const job = target && (await source.listCronJobs()).find(j => j.id === target);
+    if (!job) fail(`cron ${sub}: unknown job ${target}`);
+    print({ ok: true, action: sub, jobId: job.id, name: job.name });
+  } else if (cmd === 'sessions' && sub === 'abort') {
+    if (!target || !findSession(target)) fail(`sessions abort: unknown session ${target}`);
+    print({ ok: true, action: 'abort', key: target });
+  } else if (cmd === 'sessions') {
+    const i = args.indexOf('--active');
+    const activeMinutes = i !== -1 ? Number(args[i + 1]) : undefined;
+    print({ sessions: await source.listSessions({ activeMinutes }) });
+  } else {
+    fail(`unsupported command: ${args.join(' ')}`);
+  }
+}
+
+main();
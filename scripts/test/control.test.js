@@ -0,0 +1,126 @@
+/**
+ * control.test.js
+ * The operator control API (see lib/control.js) end to end: a live server on
+ * the sample fixture with scripts/openclaw-stub.js standing in for openclaw.
+ * Run: node --test scripts/test/
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { SESSION_WINDOW_DAYS } = require('../lib/collect');
+const { createDataSource } = require('../lib/data-sources');
+const { loadRoster } = require('../lib/roster');
+const { startServer } = require('../lib/server');
+const { loadPrices } = require('../lib/usage');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'sample');
+const STUB = path.join(__dirname, '..', 'openclaw-stub.js');
+const TOKEN = 'test-token';
+const SUBAGENT = 'agent:mason:subagent:7c1e2d40-93b5-4f1a-8c2e-5d6f7a8b9c10';
+
+let live;
+let port;
+let auditFile;
+let jobId;
+
+before(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-control-'));
+  auditFile = path.join(dir, 'audit.jsonl');
+  const source = createDataSource('fixture', { dir: FIXTURE });
+  jobId = (await source.listCronJobs())[0].id;
+  live = startServer({
+    source,
+    roster: loadRoster(),
+    prices: loadPrices(),
+    windowDays: SESSION_WINDOW_DAYS,
+    control: { token: TOKEN, auditFile, bin: STUB, env: { OPENCLAW_FIXTURE: FIXTURE } },
+    port: 0,
+    log: () => {},
+  });
+  await live.ready;
+  port = live.server.address().port;
+});
+
+after(() => live.close());
+
+// { status, body } for a request to the live server
+function request(method, pathname, { token = TOKEN, origin = null, body } = {}) {
+  const payload = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (origin) headers.Origin = origin;
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+function auditLines() {
+  try {
+    return fs.readFileSync(auditFile, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+// Runs `send` and checks it answered `status` and left one audit line
+async function expectAudited(status, send) {
+  const before = auditLines().length;
+  const res = await send();
+  assert.strictEqual(res.status, status, JSON.stringify(res.body));
+  const lines = auditLines();
+  assert.strictEqual(lines.length, before + 1, 'one audit line per attempt');
+  const last = lines[lines.length - 1];
+  assert.strictEqual(last.status, status);
+  assert.strictEqual(last.ok, status === 200);
+  return { res, line: last };
+}
+
+test('a wrong token is refused with 401', async () => {
+  await expectAudited(401, () => request('POST', `/api/cron/${jobId}/run`, { token: 'nope', body: { confirm: jobId } }));
+  await expectAudited(401, () => request('POST', `/api/cron/${jobId}/run`, { token: null, body: { confirm: jobId } }));
+});
+
+test('a foreign Origin is refused with 403', async () => {
+  await expectAudited(403, () => request('POST', `/api/cron/${jobId}/run`, { origin: 'http://evil.example', body: { confirm: jobId } }));
+});
+
+test('an action without a matching confirm is refused with 409', async () => {
+  const { line } = await expectAudited(409, () => request('POST', `/api/cron/${jobId}/run`, { body: {} }));
+  assert.strictEqual(line.action, 'run');
+  await expectAudited(409, () => request('POST', `/api/cron/${jobId}/pause`, { body: { confirm: 'something-else' } }));
+});
+
+test('bodies that are not JSON objects and other methods are refused and audited', async () => {
+  await expectAudited(400, () => request('POST', '/api/sessions/abort', { body: 'null' }));
+  await expectAudited(400, () => request('POST', '/api/sessions/abort', { body: '[1]' }));
+  await expectAudited(400, () => request('POST', `/api/cron/${jobId}/run`, { body: '{not json' }));
+  await expectAudited(405, () => request('DELETE', `/api/cron/${jobId}/run`));
+  await expectAudited(404, () => request('POST', '/api/cron/nosuchjob/run', { body: { confirm: 'nosuchjob' } }));
+});
+
+test('confirmed actions run through the CLI and are audited', async () => {
+  const run = await expectAudited(200, () => request('POST', `/api/cron/${jobId}/run`, { body: { confirm: jobId } }));
+  assert.deepStrictEqual(run.res.body.output, run.line.output);
+  assert.strictEqual(run.line.output.jobId, jobId);
+  assert.strictEqual(run.line.target, jobId);
+
+  const abort = await expectAudited(200, () => request('POST', '/api/sessions/abort', { body: { agent: 'mason', key: SUBAGENT, confirm: SUBAGENT } }));
+  assert.strictEqual(abort.line.action, 'abort');
+  assert.strictEqual(abort.line.output.key, SUBAGENT);
+});
+
+test('GET /api/control checks the token', async () => {
+  const ok = await request('GET', '/api/control');
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(ok.body.actions, ['run', 'pause', 'resume', 'abort']);
+  assert.strictEqual((await request('GET', '/api/control', { token: 'nope' })).status, 401);
+});
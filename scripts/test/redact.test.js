@@ -0,0 +1,164 @@
+/**
+ * redact.test.js
+ * The public output profile (see lib/redact.js): what dashboard-data.json
+ * holds once the sample fixture has gone through it.
+ * Run: node --test scripts/test/
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { before, test } = require('node:test');
+const { SESSION_WINDOW_DAYS, collectDashboard, toDashboardData } = require('../lib/collect');
+const { createDataSource } = require('../lib/data-sources');
+const { createRedactor, loadRedactConfig, loadSalt, redactCollected } = require('../lib/redact');
+const { loadRoster } = require('../lib/roster');
+const { loadPrices } = require('../lib/usage');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'sample');
+const EMAIL_JOB = '073e670c-5b1a-4c57-9a0e-2f1d7c1e9a01';
+const EMAIL_JOB_NAME = 'Email monitoring - @Tim requests';
+const SUBAGENT = 'agent:mason:subagent:7c1e2d40-93b5-4f1a-8c2e-5d6f7a8b9c10';
+
+let dir;
+let collected;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-redact-'));
+  const source = createDataSource('fixture', { dir: FIXTURE });
+  collected = await collectDashboard(source, { roster: loadRoster(), prices: loadPrices(), windowDays: SESSION_WINDOW_DAYS });
+});
+
+// A config as loadRedactConfig() reads it from `raw`
+function config(raw) {
+  const file = path.join(dir, `redact-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify({ salt: 'test-salt', ...raw }));
+  return loadRedactConfig(file);
+}
+
+function redactor(raw) {
+  return createRedactor(config(raw), { profile: 'public', cronJobs: collected.cronJobs });
+}
+
+// dashboard-data.json as --json --public writes it
+function publish(raw, c = collected) {
+  return toDashboardData(redactCollected(c, createRedactor(config(raw), { profile: 'public', cronJobs: c.cronJobs })));
+}
+
+function allTasks(data) {
+  return [...data.sessions.items, ...data.recentSessions, ...Object.values(data.agentTasks).flat()];
+}
+
+test('a keyword hides the whole field', () => {
+  const data = publish({ keywords: ['vercel'] });
+  const tasks = allTasks(data).map(s => s.task);
+  assert.ok(tasks.includes('Private task'));
+  assert.ok(!tasks.some(t => /vercel/i.test(t)));
+  assert.ok(!JSON.stringify(data.lineage).toLowerCase().includes('vercel'));
+  assert.strictEqual(redactor({ keywords: ['Commute'] }).text('Update the COMMUTE notes'), '[redacted]');
+});
+
+test('emails and phone numbers are replaced by default', () => {
+  const r = redactor({});
+  assert.strictEqual(r.text('Reply to carter.b+ops@example.co.uk by noon'), 'Reply to [email] by noon');
+  assert.strictEqual(r.text('Call (612) 555-0142 or +1 612.555.0143'), 'Call [phone] or [phone]');
+  assert.strictEqual(r.text('Run 2 of 3 took 40s'), 'Run 2 of 3 took 40s');
+});
+
+test('config patterns come on top of the defaults', () => {
+  const r = redactor({ patterns: [{ pattern: '\\bacct-\\d+\\b', flags: 'i', replace: '[account]' }] });
+  assert.strictEqual(r.text('ACCT-991 for ops@example.com'), '[account] for [email]');
+  assert.throws(() => config({ patterns: [{ pattern: '(' }] }), /Invalid regular expression/);
+});
+
+test('private jobs keep neither their name nor their id', () => {
+  const data = publish({ jobs: { [EMAIL_JOB_NAME]: { private: true } } });
+  const json = JSON.stringify(data);
+  assert.ok(!json.includes(EMAIL_JOB_NAME));
+  assert.ok(!json.includes(EMAIL_JOB.slice(0, 8)), 'no part of the raw job id is published');
+
+  const job = data.cronJobs.find(j => j.name.startsWith('Private job'));
+  assert.match(job.jobId, /^[0-9a-f]{12}$/);
+  assert.strictEqual(job.id, job.jobId.slice(0, 8));
+  assert.strictEqual(job.name, `Private job (${job.id})`);
+  assert.ok(data.cronJobs.some(j => j.name === 'Granola Sync' && j.jobId === 'fd6f38cf-0a3e-4e7b-8d55-6c9b0e4f2a02'));
+
+  // Its runs carry the same hashed id in their keys, and nothing of their own
+  const runs = data.sessions.items.filter(s => s.agent === 'chase');
+  assert.ok(runs.length > 0);
+  for (const s of runs) {
+    assert.strictEqual(s.key.split(':')[3], job.jobId);
+    assert.strictEqual(s.task, job.name);
+    assert.ok(!s.sessionId);
+    assert.ok(s.error === null || s.error === 'details hidden');
+  }
+});
+
+test('alerts on a private job carry the hashed id', () => {
+  const alert = {
+    id: `cron-error:${EMAIL_JOB}:d1e2f3a4-0003-4b5c-8d6e-7f8091a2b318`,
+    rule: 'cron-error',
+    severity: 'error',
+    title: `${EMAIL_JOB_NAME} failed`,
+    detail: 'Gmail API returned 503 Service Unavailable',
+    agent: 'chase',
+    jobId: EMAIL_JOB,
+    sessionId: 'd1e2f3a4-0003-4b5c-8d6e-7f8091a2b318',
+    since: collected.nowMs,
+  };
+  const data = publish({ jobs: { [EMAIL_JOB_NAME]: { private: true } } }, { ...collected, alerts: [alert] });
+  const [out] = data.alerts;
+  const job = data.cronJobs.find(j => j.name.startsWith('Private job'));
+  assert.strictEqual(out.jobId, job.jobId);
+  assert.strictEqual(out.title, `${job.name} failed`);
+  assert.strictEqual(out.detail, 'details hidden');
+  assert.match(out.id, /^cron-error:[0-9a-f]{12}$/);
+  assert.ok(!JSON.stringify(out).includes(EMAIL_JOB.slice(0, 8)));
+  assert.ok(!('sessionId' in out));
+});
+
+test('private agents show a generic label', () => {
+  const data = publish({ agents: { mason: { private: true } } });
+  const mason = allTasks(data).filter(s => s.agent === 'mason');
+  assert.ok(mason.length > 0);
+  for (const s of mason) {
+    assert.strictEqual(s.task, 'Private task');
+    assert.ok(s.reason === null || s.reason === 'details hidden');
+  }
+  const json = JSON.stringify(data);
+  assert.ok(!json.includes('Build Option 1') && !json.includes("Debug why Vercel isn't deploying"));
+  assert.ok(allTasks(data).some(s => s.agent === 'reid' && s.task.startsWith('Pull overnight market moves')));
+});
+
+test('every key segment past the kind is hashed with the salt', () => {
+  const a = redactor({ salt: 'site-a' });
+  const b = redactor({ salt: 'site-b' });
+  const dm = a.key('agent:main:telegram:dm:carter');
+  const segs = dm.split(':');
+  assert.deepStrictEqual(segs.slice(0, 3), ['agent', 'main', 'telegram']);
+  assert.ok(segs.slice(3).every(seg => /^[0-9a-f]{12}$/.test(seg)));
+  assert.ok(!dm.includes('carter'));
+  assert.strictEqual(a.key('agent:main:main'), 'agent:main:main');
+
+  assert.strictEqual(a.key(SUBAGENT), a.key(SUBAGENT), 'stable within a site');
+  assert.notStrictEqual(a.key(SUBAGENT), b.key(SUBAGENT), 'not matchable across sites');
+  assert.ok(a.key(SUBAGENT).startsWith('agent:mason:subagent:'));
+
+  const data = publish({});
+  assert.ok(!JSON.stringify(data).includes(SUBAGENT.split(':')[3]));
+});
+
+test('the public profile needs a salt', () => {
+  const file = path.join(dir, 'no-salt.json');
+  fs.writeFileSync(file, '{}');
+  const unsalted = loadRedactConfig(file);
+  assert.strictEqual(unsalted.salt, null);
+  assert.throws(() => createRedactor(unsalted, { profile: 'public', cronJobs: [] }), /salt/);
+  assert.doesNotThrow(() => createRedactor(unsalted, { profile: 'private', cronJobs: [] }));
+
+  const saltFile = path.join(dir, 'workspace', 'dashboard-redact-salt');
+  const salt = loadSalt(saltFile);
+  assert.match(salt, /^[0-9a-f]{32}$/);
+  assert.strictEqual(loadSalt(saltFile), salt, 'kept between runs');
+  assert.notStrictEqual(loadSalt(null), loadSalt(null));
+});
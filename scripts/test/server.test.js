@@ -0,0 +1,62 @@
+/**
+ * server.test.js
+ * Live mode (see lib/server.js) on the sample fixture: every route refuses a
+ * Host other than the loopback address it listens on.
+ * Run: node --test scripts/test/
+ */
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { SESSION_WINDOW_DAYS } = require('../lib/collect');
+const { createDataSource } = require('../lib/data-sources');
+const { loadRoster } = require('../lib/roster');
+const { startServer } = require('../lib/server');
+const { loadPrices } = require('../lib/usage');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'sample');
+const ROUTES = ['/', '/index.html', '/dashboard-data.json', '/events', '/sessions/mason/5e6f7a8b-1c2d-4e3f-8a9b-0c1d2e3f4a13.json'];
+
+let live;
+let port;
+
+before(async () => {
+  live = startServer({
+    source: createDataSource('fixture', { dir: FIXTURE }),
+    roster: loadRoster(),
+    prices: loadPrices(),
+    windowDays: SESSION_WINDOW_DAYS,
+    port: 0,
+    log: () => {},
+  });
+  await live.ready;
+  port = live.server.address().port;
+});
+
+after(() => live.close());
+
+// Status and content type of a GET; the body is not waited for, so /events
+// doesn't hold the test open.
+function get(pathname, host) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, headers: { Host: host } }, res => {
+      resolve({ status: res.statusCode, type: res.headers['content-type'] || '' });
+      res.destroy();
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('every route answers on the loopback address', async () => {
+  for (const host of [`127.0.0.1:${port}`, `localhost:${port}`]) {
+    for (const route of ROUTES) assert.strictEqual((await get(route, host)).status, 200, `${route} via ${host}`);
+  }
+  assert.match((await get('/events', `localhost:${port}`)).type, /^text\/event-stream/);
+});
+
+test('every route refuses a foreign Host', async () => {
+  for (const host of ['evil.example', `evil.example:${port}`, `127.0.0.1:${port + 1}`]) {
+    for (const route of ROUTES) assert.strictEqual((await get(route, host)).status, 403, `${route} via "${host}"`);
+  }
+});